@@ -1,11 +1,624 @@
 // PocketFlow JavaScript Compiler
 // Converts JSON DSL to executable PocketFlow nodes and flows
 
-const { Node, BatchNode, AsyncNode, AsyncBatchNode, AsyncParallelBatchNode, Flow, AsyncFlow, AsyncBatchFlow, AsyncParallelBatchFlow } = require('./index.js');
+const { BaseNode, Node, BatchNode, AsyncNode, AsyncParallelBatchNode, Flow, MemoryCacheStore } = require('./index.js');
+
+// Raised by HTTP nodes for responses worth retrying (429 and 5xx)
+class HTTPError extends Error {
+    constructor(response) {
+        super(`HTTP ${response.status} error`);
+        this.name = 'HTTPError';
+        this.status = response.status;
+        this.response = response;
+    }
+}
+
+// Raised when a template or condition expression can't be parsed or uses something outside the expression language
+class ExpressionError extends Error {
+    constructor(message, source) {
+        super(source === undefined ? message : `${message} in expression: ${source}`);
+        this.name = 'ExpressionError';
+        this.source = source;
+    }
+}
+
+// Expression language for templates and `when` conditions: a side-effect-free JavaScript subset with
+// literals, property access, indexing, arithmetic, comparison, boolean logic, the ternary operator,
+// whitelisted string/array methods and helper functions. Globals, prototypes and other calls are unreachable.
+const EXPRESSION_TOKEN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_$@][\w$]*)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(===|!==|==|!=|<=|>=|&&|\|\||\?\?|[-+*/%<>!?:.,()[\]|]))/y;
+const EXPRESSION_LITERALS = { true: true, false: false, null: null, undefined: undefined };
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'constructor', 'prototype']);
+const STRING_METHODS = new Set(['includes', 'startsWith', 'endsWith', 'indexOf', 'slice', 'split', 'trim', 'toLowerCase', 'toUpperCase']);
+const ARRAY_METHODS = new Set(['includes', 'indexOf', 'join', 'slice']);
+const BINARY_PRECEDENCE = [
+    ['??'], ['||'], ['&&'], ['===', '!==', '==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']
+];
+
+// Helpers callable by name; PocketFlowCompiler adds env.helpers to these
+const DEFAULT_HELPERS = {
+    json: (value) => JSON.stringify(value),
+    stringify: (value) => JSON.stringify(value),
+    parse: (text) => JSON.parse(text),
+    string: (value) => String(value),
+    number: (value) => Number(value),
+    lower: (value) => String(value).toLowerCase(),
+    upper: (value) => String(value).toUpperCase(),
+    trim: (value) => String(value).trim(),
+    length: (value) => value == null ? 0 : (value.length ?? Object.keys(value).length),
+    keys: (value) => Object.keys(value ?? {}),
+    min: Math.min,
+    max: Math.max,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil
+};
+
+class ExpressionParser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = [];
+        this.pos = 0;
+
+        EXPRESSION_TOKEN.lastIndex = 0;
+        while (EXPRESSION_TOKEN.lastIndex < source.length) {
+            const start = EXPRESSION_TOKEN.lastIndex;
+            const match = EXPRESSION_TOKEN.exec(source);
+            if (!match) {
+                if (/^\s*$/.test(source.slice(start))) break;
+                throw new ExpressionError(`Unexpected character '${source.slice(start).trim()[0]}'`, source);
+            }
+
+            const [, number, name, string, op] = match;
+            if (number !== undefined) this.tokens.push({ type: 'literal', value: Number(number) });
+            else if (name !== undefined) this.tokens.push({ type: 'name', value: name });
+            else if (string !== undefined) this.tokens.push({ type: 'literal', value: unescapeString(string) });
+            else this.tokens.push({ type: 'op', value: op });
+        }
+    }
+
+    parse() {
+        if (this.tokens.length === 0) {
+            throw new ExpressionError('Empty expression', this.source);
+        }
+        const ast = this.parseConditional();
+        this.expectEnd();
+        return ast;
+    }
+
+    // Template tags: an expression followed by any number of `| filter` or `| filter(args)` stages
+    parseFiltered() {
+        if (this.tokens.length === 0) {
+            throw new ExpressionError('Empty expression', this.source);
+        }
+        const expression = this.parseConditional();
+        const filters = [];
+        while (this.peek('|')) {
+            this.pos++;
+            const token = this.tokens[this.pos++];
+            if (!token || token.type !== 'name') {
+                throw new ExpressionError("Expected a filter name after '|'", this.source);
+            }
+            let args = [];
+            if (this.peek('(')) {
+                this.pos++;
+                args = this.parseList(')');
+            }
+            filters.push({ name: token.value, args });
+        }
+        this.expectEnd();
+        return { expression, filters };
+    }
+
+    expectEnd() {
+        if (this.pos < this.tokens.length) {
+            throw new ExpressionError(`Unexpected '${this.tokens[this.pos].value}'`, this.source);
+        }
+    }
+
+    peek(op) {
+        const token = this.tokens[this.pos];
+        return token && token.type === 'op' && token.value === op;
+    }
+
+    expect(op) {
+        if (!this.peek(op)) {
+            const token = this.tokens[this.pos];
+            throw new ExpressionError(`Expected '${op}' but found ${token ? `'${token.value}'` : 'end of expression'}`, this.source);
+        }
+        this.pos++;
+    }
+
+    parseConditional() {
+        const test = this.parseBinary(0);
+        if (!this.peek('?')) return test;
+        this.pos++;
+        const then = this.parseConditional();
+        this.expect(':');
+        return { type: 'conditional', test, then, otherwise: this.parseConditional() };
+    }
+
+    parseBinary(level) {
+        if (level === BINARY_PRECEDENCE.length) return this.parseUnary();
+        let left = this.parseBinary(level + 1);
+        while (BINARY_PRECEDENCE[level].some(op => this.peek(op))) {
+            const op = this.tokens[this.pos++].value;
+            left = { type: 'binary', op, left, right: this.parseBinary(level + 1) };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        for (const op of ['!', '-', '+']) {
+            if (this.peek(op)) {
+                this.pos++;
+                return { type: 'unary', op, argument: this.parseUnary() };
+            }
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let node = this.parsePrimary();
+        for (;;) {
+            if (this.peek('.')) {
+                this.pos++;
+                const token = this.tokens[this.pos++];
+                if (!token || token.type !== 'name') {
+                    throw new ExpressionError("Expected a property name after '.'", this.source);
+                }
+                node = { type: 'member', object: node, property: { type: 'literal', value: token.value } };
+            } else if (this.peek('[')) {
+                this.pos++;
+                const property = this.parseConditional();
+                this.expect(']');
+                node = { type: 'member', object: node, property };
+            } else if (this.peek('(')) {
+                this.pos++;
+                node = { type: 'call', callee: node, args: this.parseList(')') };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    parseList(close) {
+        const items = [];
+        while (!this.peek(close)) {
+            items.push(this.parseConditional());
+            if (!this.peek(close)) this.expect(',');
+        }
+        this.pos++;
+        return items;
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.pos++];
+        if (!token) {
+            throw new ExpressionError('Unexpected end of expression', this.source);
+        }
+        if (token.type === 'literal') {
+            return token;
+        }
+        if (token.type === 'name') {
+            // Own keys only: `constructor` or `toString` must not resolve to Object.prototype members
+            return Object.prototype.hasOwnProperty.call(EXPRESSION_LITERALS, token.value)
+                ? { type: 'literal', value: EXPRESSION_LITERALS[token.value] }
+                : { type: 'name', value: token.value };
+        }
+        if (token.value === '(') {
+            const inner = this.parseConditional();
+            this.expect(')');
+            return inner;
+        }
+        if (token.value === '[') {
+            return { type: 'array', items: this.parseList(']') };
+        }
+        throw new ExpressionError(`Unexpected '${token.value}'`, this.source);
+    }
+}
+
+function unescapeString(literal) {
+    const escapes = { n: '\n', t: '\t', r: '\r' };
+    return literal.slice(1, -1).replace(/\\(.)/g, (match, char) => escapes[char] ?? char);
+}
+
+// Parsed expressions are cached; configs reuse the same few expressions on every run
+const parsedExpressions = new Map();
+function parseExpression(source) {
+    let ast = parsedExpressions.get(source);
+    if (!ast) {
+        ast = new ExpressionParser(source).parse();
+        if (parsedExpressions.size >= 1000) parsedExpressions.clear();
+        parsedExpressions.set(source, ast);
+    }
+    return ast;
+}
+
+// Only data is readable: own properties of objects, plus length and indexes of strings and arrays
+function readProperty(target, key, source) {
+    if (target === null || target === undefined) return undefined;
+    if (typeof key !== 'string' && typeof key !== 'number') {
+        throw new ExpressionError(`Invalid property key ${JSON.stringify(key)}`, source);
+    }
+    if (BLOCKED_PROPERTIES.has(String(key))) {
+        throw new ExpressionError(`Property '${key}' is not accessible`, source);
+    }
+    if (typeof target === 'string' || Array.isArray(target)) {
+        if (key === 'length') return target.length;
+        if (Number.isInteger(Number(key))) return target[key];
+    }
+    if (typeof target === 'object' && Object.prototype.hasOwnProperty.call(target, key)) {
+        return target[key];
+    }
+    return undefined;
+}
+
+function evaluateAst(node, scope, helpers, source) {
+    const evaluate = (child) => evaluateAst(child, scope, helpers, source);
+
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'array':
+            return node.items.map(evaluate);
+        case 'name':
+            if (!Object.prototype.hasOwnProperty.call(scope, node.value)) {
+                throw new ExpressionError(`Unknown name '${node.value}'`, source);
+            }
+            return scope[node.value];
+        case 'member':
+            return readProperty(evaluate(node.object), evaluate(node.property), source);
+        case 'call': {
+            const args = node.args.map(evaluate);
+            if (node.callee.type === 'name') {
+                const name = node.callee.value;
+                if (!Object.prototype.hasOwnProperty.call(helpers, name)) {
+                    throw new ExpressionError(`Unknown function '${name}'`, source);
+                }
+                return helpers[name](...args);
+            }
+            if (node.callee.type === 'member') {
+                const target = evaluate(node.callee.object);
+                const method = evaluate(node.callee.property);
+                const allowed = typeof target === 'string' ? STRING_METHODS : Array.isArray(target) ? ARRAY_METHODS : null;
+                if (!allowed || !allowed.has(method)) {
+                    throw new ExpressionError(`Method '${method}' is not allowed on ${target === null ? 'null' : Array.isArray(target) ? 'array' : typeof target}`, source);
+                }
+                return target[method](...args);
+            }
+            throw new ExpressionError('Only helpers and string/array methods can be called', source);
+        }
+        case 'unary': {
+            const value = evaluate(node.argument);
+            if (node.op === '!') return !value;
+            return node.op === '-' ? -value : +value;
+        }
+        case 'binary': {
+            const left = evaluate(node.left);
+            // Logical operators short-circuit and, as in JavaScript, return an operand rather than a boolean
+            if (node.op === '&&') return left && evaluate(node.right);
+            if (node.op === '||') return left || evaluate(node.right);
+            if (node.op === '??') return left ?? evaluate(node.right);
+            const right = evaluate(node.right);
+            switch (node.op) {
+                case '===': return left === right;
+                case '!==': return left !== right;
+                case '==': return left == right;
+                case '!=': return left != right;
+                case '<': return left < right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                case '>=': return left >= right;
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+            }
+            break;
+        }
+        case 'conditional':
+            return evaluate(node.test) ? evaluate(node.then) : evaluate(node.otherwise);
+    }
+    throw new ExpressionError(`Unsupported expression node '${node.type}'`, source);
+}
+
+// Raised when a template is malformed or one of its tags fails to evaluate
+class TemplateError extends Error {
+    constructor(message, template) {
+        const excerpt = template.length > 80 ? `${template.slice(0, 77)}...` : template;
+        super(`${message} in template: ${JSON.stringify(excerpt)}`);
+        this.name = 'TemplateError';
+        this.template = template;
+    }
+}
+
+// Filters applied with `{{ value | name(args) }}`; PocketFlowCompiler adds env.filters to these
+const DEFAULT_FILTERS = {
+    default: (value, fallback = '') => value === undefined || value === null || value === '' ? fallback : value,
+    upper: (value) => String(value ?? '').toUpperCase(),
+    lower: (value) => String(value ?? '').toLowerCase(),
+    trim: (value) => String(value ?? '').trim(),
+    truncate: (value, length = 100, suffix = '...') => {
+        const text = String(value ?? '');
+        return text.length > length ? text.slice(0, Math.max(0, length - suffix.length)) + suffix : text;
+    },
+    join: (value, separator = ', ') => Array.isArray(value) ? value.join(separator) : String(value ?? ''),
+    json: (value, indent) => JSON.stringify(value, null, indent),
+    length: (value) => DEFAULT_HELPERS.length(value)
+};
+
+// Templates are parsed into text, tag, if and each parts; `\{{` stands for a literal `{{`
+const TEMPLATE_TAG = /\\\{\{|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const parsedTemplates = new Map();
+function parseTemplate(template) {
+    let parts = parsedTemplates.get(template);
+    if (parts) return parts;
+
+    parts = [];
+    const stack = [];
+    let current = parts;
+    let last = 0;
+    const text = (value) => {
+        if (value) current.push({ type: 'text', value });
+    };
+    const expression = (source, tag) => {
+        try {
+            return new ExpressionParser(source).parse();
+        } catch (error) {
+            throw new TemplateError(`${error.message} (in ${tag})`, template);
+        }
+    };
+
+    for (const match of template.matchAll(TEMPLATE_TAG)) {
+        text(template.slice(last, match.index));
+        last = match.index + match[0].length;
+        const [tag, body] = match;
+
+        if (body === undefined) {
+            text('{{');
+        } else if (/^#(if|each)\b/.test(body)) {
+            const type = body.slice(1).split(/\s/)[0];
+            const source = body.slice(type.length + 1).trim();
+            const block = { type, tag, test: expression(source, tag), body: [], otherwise: [] };
+            current.push(block);
+            stack.push({ block, parent: current });
+            current = block.body;
+        } else if (body === 'else') {
+            const open = stack[stack.length - 1];
+            if (!open || current !== open.block.body) {
+                throw new TemplateError('{{else}} outside an {{#if}} or {{#each}} block', template);
+            }
+            current = open.block.otherwise;
+        } else if (/^\/(if|each)$/.test(body)) {
+            const open = stack.pop();
+            if (!open || open.block.type !== body.slice(1)) {
+                throw new TemplateError(`Unexpected ${tag}`, template);
+            }
+            current = open.parent;
+        } else {
+            try {
+                current.push({ type: 'tag', tag, ...new ExpressionParser(body).parseFiltered() });
+            } catch (error) {
+                throw new TemplateError(`${error.message} (in ${tag})`, template);
+            }
+        }
+    }
+    text(template.slice(last));
+
+    if (stack.length) {
+        throw new TemplateError(`Missing {{/${stack[stack.length - 1].block.type}}}`, template);
+    }
+
+    if (parsedTemplates.size >= 1000) parsedTemplates.clear();
+    parsedTemplates.set(template, parts);
+    return parts;
+}
+
+// Missing values render as '' and objects as JSON, so prompts never contain "undefined" or "[object Object]"
+function templateText(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Raised by compile() with every problem found in a config; errors are { path (JSON pointer), node, message }
+class ConfigValidationError extends Error {
+    constructor(errors) {
+        const lines = errors.map(error => `  ${error.path || '/'}${error.node ? ` (node '${error.node}')` : ''}: ${error.message}`);
+        super(`Invalid config (${errors.length} error${errors.length === 1 ? '' : 's'}):\n${lines.join('\n')}`);
+        this.name = 'ConfigValidationError';
+        this.errors = errors;
+    }
+}
+
+// Raised when a node's declared prep.inputs can't be satisfied from shared
+class InputError extends Error {
+    constructor(node, path, problem) {
+        super(`Node '${node}': input '${path}' ${problem}`);
+        this.name = 'InputError';
+        this.node = node;
+        this.path = path;
+    }
+}
+
+// An input is available to templates as inputs.<name>, defaulting to the last segment of its path
+const inputName = (input) => input.name || input.path.split('.').pop();
+const valueType = (value) => Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+// Returned by env functions to choose the next action as well as a result (see the function kind)
+class Route {
+    constructor(action, result) {
+        this.action = action;
+        this.result = result;
+    }
+}
+const route = (action, result) => new Route(action, result);
+
+// Finds the JSON value in an LLM reply: a ```json fence if there is one, else the outermost
+// braces or brackets, whichever opens first
+function extractJSON(text) {
+    const fenced = /```(?:json)?\s*\n([\s\S]*?)```/.exec(text);
+    if (fenced) {
+        return JSON.parse(fenced[1]);
+    }
+    const start = text.search(/[{[]/);
+    const end = start === -1 ? -1 : text.lastIndexOf(text[start] === '{' ? '}' : ']');
+    if (start === -1 || end < start) {
+        throw new SyntaxError('no JSON object or array found');
+    }
+    return JSON.parse(text.slice(start, end + 1));
+}
+
+// Raised by llm nodes with exec.output when the reply can't be parsed or doesn't match the schema
+class OutputValidationError extends Error {
+    constructor(node, errors, text) {
+        super(`Node '${node}': invalid structured output: ${errors.join('; ')}`);
+        this.name = 'OutputValidationError';
+        this.node = node;
+        this.errors = errors;
+        this.text = text;
+    }
+}
+
+// Parses the structured block of an LLM reply in exec.output's format ('json' or 'yaml')
+function parseStructured(text, format) {
+    if (format !== 'yaml') {
+        return extractJSON(text);
+    }
+    const fenced = /```(?:ya?ml)?\s*\n([\s\S]*?)```/.exec(text);
+    return require('js-yaml').load(fenced ? fenced[1] : text);
+}
+
+// Appended to the prompt of an llm node with exec.output
+function outputInstructions(format, schema) {
+    const lines = [`Reply with ${format === 'yaml' ? 'YAML' : 'a JSON value'} in a \`\`\`${format} block.`];
+    if (schema) {
+        lines.push('It must match this JSON Schema:', JSON.stringify(schema, null, 2));
+    }
+    return lines.join('\n');
+}
+
+const schemaErrors = (errors) => errors.map(error => `${error.instancePath || '(root)'} ${error.message}`);
+const observationText = (value) => typeof value === 'string' ? value : JSON.stringify(value);
+
+// The agent kind's per-turn prompt: the task, the tools with their parameter schemas, and every step so far
+function agentPrompt(task, tools, trajectory) {
+    const lines = [task, '', 'You can call these tools:'];
+    for (const tool of tools) {
+        lines.push(`- ${tool.name}: ${tool.description || ''}`.trimEnd());
+        lines.push(`  parameters: ${JSON.stringify(tool.parameters || { type: 'object' })}`);
+    }
+
+    if (trajectory.length > 0) {
+        lines.push('', 'Previous steps:');
+        for (const step of trajectory) {
+            if (step.error) {
+                lines.push(`${step.turn}. invalid reply: ${step.error}`);
+                continue;
+            }
+            lines.push(`${step.turn}. thought: ${step.thought || ''}`);
+            lines.push(`   called ${step.tool} with ${JSON.stringify(step.args)}`);
+            lines.push(`   observation: ${observationText(step.observation)}`);
+        }
+    }
+
+    lines.push(
+        '',
+        'Reply with a single JSON object and nothing else, either',
+        '{"thought": "...", "tool": "<tool name>", "args": { ... }} to call a tool, or',
+        '{"thought": "...", "answer": "..."} once you can answer.'
+    );
+    return lines.join('\n');
+}
+
+// Raised in replay mode when a request has no recording in the cassette
+class CassetteMissError extends Error {
+    constructor(kind, request, path) {
+        super(`No recorded ${kind} interaction in ${path} for ${JSON.stringify(request)}`);
+        this.name = 'CassetteMissError';
+        this.kind = kind;
+        this.request = request;
+        // Retrying cannot produce a recording, so go straight to the fallback
+        this.retryable = false;
+    }
+}
+
+// Records LLM and HTTP interactions to a JSON file ('record'), or serves them back without network access ('replay')
+class Cassette {
+    constructor(path, mode = 'replay') {
+        if (mode !== 'record' && mode !== 'replay') {
+            throw new Error(`Invalid cassette mode: ${mode} (expected 'record' or 'replay')`);
+        }
+
+        this.path = path;
+        this.mode = mode;
+        this.interactions = [];
+        this.served = new Map();
+        this.saving = Promise.resolve();
+
+        // Replaying a missing or corrupt cassette should fail at setup, not halfway through a flow
+        if (mode === 'replay') {
+            const data = JSON.parse(require('fs').readFileSync(path, 'utf8'));
+            this.interactions = data.interactions || [];
+        }
+    }
+
+    key(kind, request) {
+        return JSON.stringify([kind, request]);
+    }
+
+    async use(kind, request, perform) {
+        if (this.mode === 'replay') {
+            return this.replay(kind, request);
+        }
+
+        const response = await perform();
+        this.interactions.push({ kind, request, response: JSON.parse(JSON.stringify(response)) });
+        await this.save();
+        return response;
+    }
+
+    // Identical requests are served in recorded order; once exhausted, the last recording repeats
+    replay(kind, request) {
+        const key = this.key(kind, request);
+        const matches = this.interactions.filter(interaction => this.key(interaction.kind, interaction.request) === key);
+        if (matches.length === 0) {
+            throw new CassetteMissError(kind, request, this.path);
+        }
+
+        const served = this.served.get(key) || 0;
+        this.served.set(key, served + 1);
+        return JSON.parse(JSON.stringify(matches[Math.min(served, matches.length - 1)].response));
+    }
+
+    // Rewrites the whole file after every interaction; writes are chained so concurrent nodes can't interleave them
+    save() {
+        const fs = require('fs').promises;
+        const path = require('path');
+        this.saving = this.saving.then(async () => {
+            await fs.mkdir(path.dirname(this.path), { recursive: true });
+            await fs.writeFile(this.path, JSON.stringify({ version: 1, interactions: this.interactions }, null, 2));
+        });
+        return this.saving;
+    }
+}
 
 class PocketFlowCompiler {
     constructor(env = {}) {
         this.env = env;
+
+        // env.cassette: a Cassette, or { path, mode } to create one for this compiler
+        if (env.cassette) {
+            this.cassette = env.cassette instanceof Cassette
+                ? env.cassette
+                : new Cassette(env.cassette.path, env.cassette.mode);
+        }
+
+        // Functions templates and conditions may call, on top of the built-in helpers
+        this.helpers = { ...DEFAULT_HELPERS, ...(env.helpers || {}) };
+        this.filters = { ...DEFAULT_FILTERS, ...(env.filters || {}) };
+
         this.registry = {
             llm: this.createLLMNode.bind(this),
             http: this.createHTTPNode.bind(this),
@@ -13,64 +626,116 @@ class PocketFlowCompiler {
             data: this.createDataNode.bind(this),
             batch: this.createBatchNode.bind(this),
             async: this.createAsyncNode.bind(this),
-            parallel: this.createParallelNode.bind(this)
+            parallel: this.createParallelNode.bind(this),
+            function: this.createFunctionNode.bind(this),
+            agent: this.createAgentNode.bind(this)
         };
+
+        // What each kind does, for MetaAgentCreator prompts; registerKind adds entries.
+        // `actions: null` marks kinds whose post may return any action, so MetaAgentCreator accepts any edge label from them.
+        this.kinds = new Map([
+            ['llm', { description: 'Call the LLM with exec.prompt (a template) and optional exec.model; result is { text }, plus { data, valid } with exec.output ({ format: json|yaml, schema })' }],
+            ['http', { description: 'Request exec.url with exec.method, exec.headers and exec.body; result is { status, data, headers }' }],
+            ['router', { description: 'Choose the next action from exec.cases, a list of { label, when } checked in order' }],
+            ['data', { description: 'Save static exec data (readable as {{exec.*}}) with post.outputs.save' }],
+            ['batch', { description: 'Process each item of the array named by the first prep.inputs entry, one at a time' }],
+            ['async', { description: 'Same as llm, exec.output included' }],
+            ['parallel', { description: 'Same as batch, with items processed concurrently (exec.concurrency caps them)' }],
+            ['function', { description: 'Call the env function named by exec.function with exec.args (templates allowed); result is its return value; return route(action, result) to pick the next action', actions: null }],
+            ['agent', { description: 'Let the LLM call exec.tools (env functions or env flows) turn by turn until it answers the exec.prompt task; result is { answer, done, turns }' }]
+        ]);
     }
 
-    // Template engine for mustache-like syntax
+    // Template engine: {{expr | filter}} tags, {{#if}} and {{#each}} blocks, and \{{ for a literal {{
     interpolate(template, context) {
         if (typeof template !== 'string') return template;
-        
-        return template.replace(/\{\{\s*([^}]+)\s*\}\}/g, (match, expr) => {
-            try {
-                // Handle json() function calls
-                if (expr.startsWith('json(')) {
-                    const inner = expr.slice(5, -1);
-                    const result = this.evaluateExpression(inner, context);
-                    return JSON.stringify(result);
+
+        const scope = { ...context, ctx: context.ctx || {} };
+        return this.renderTemplate(parseTemplate(template), scope, template);
+    }
+
+    renderTemplate(parts, scope, template) {
+        let output = '';
+
+        for (const part of parts) {
+            if (part.type === 'text') {
+                output += part.value;
+            } else if (part.type === 'tag') {
+                output += templateText(this.evaluateTag(part, scope, template));
+            } else if (part.type === 'if') {
+                // Empty arrays count as false, so {{#if ctx.items}} reads naturally
+                const value = this.evaluateInTemplate(part.test, scope, template, part.tag);
+                const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+                output += this.renderTemplate(truthy ? part.body : part.otherwise, scope, template);
+            } else {
+                const items = this.evaluateInTemplate(part.test, scope, template, part.tag) ?? [];
+                if (!Array.isArray(items)) {
+                    throw new TemplateError(`{{#each}} expects an array but got ${typeof items}`, template);
                 }
-                
-                // Handle regular expressions
-                return this.evaluateExpression(expr, context);
-            } catch (e) {
-                console.warn(`Template interpolation failed for: ${expr}`, e);
-                return match;
+                if (items.length === 0) {
+                    output += this.renderTemplate(part.otherwise, scope, template);
+                }
+                items.forEach((item, index) => {
+                    const itemScope = { ...scope, this: item, '@index': index, '@first': index === 0, '@last': index === items.length - 1 };
+                    output += this.renderTemplate(part.body, itemScope, template);
+                });
             }
-        });
+        }
+
+        return output;
     }
 
-    evaluateExpression(expr, context) {
-        // Simple expression evaluator - in production, use a proper expression parser
-        const { ctx, result } = context;
-        
-        // Create a safe evaluation context
-        const evalContext = {
-            ctx: ctx || {},
-            result: result || {},
-            // Add utility functions
-            json: (obj) => JSON.stringify(obj),
-            stringify: (obj) => JSON.stringify(obj),
-            parse: (str) => JSON.parse(str)
-        };
+    evaluateTag(part, scope, template) {
+        let value = this.evaluateInTemplate(part.expression, scope, template, part.tag);
 
-        // Simple property access: ctx.topic -> ctx.topic
-        if (expr.includes('.')) {
-            return this.getNestedProperty(evalContext, expr);
+        for (const filter of part.filters) {
+            if (!Object.prototype.hasOwnProperty.call(this.filters, filter.name)) {
+                throw new TemplateError(`Unknown filter '${filter.name}' (in ${part.tag})`, template);
+            }
+            const args = filter.args.map(arg => this.evaluateInTemplate(arg, scope, template, part.tag));
+            try {
+                value = this.filters[filter.name](value, ...args);
+            } catch (error) {
+                throw new TemplateError(`Filter '${filter.name}' failed: ${error.message} (in ${part.tag})`, template);
+            }
         }
 
-        // Direct variable access
-        if (expr in evalContext) {
-            return evalContext[expr];
-        }
+        return value;
+    }
 
-        // Try to evaluate as JavaScript expression (be careful in production!)
+    evaluateInTemplate(ast, scope, template, tag) {
         try {
-            return new Function('ctx', 'result', `return (${expr})`)(ctx, result);
-        } catch (e) {
-            return expr; // Return as string if evaluation fails
+            return evaluateAst(ast, scope, this.helpers, tag);
+        } catch (error) {
+            throw error instanceof ExpressionError ? new TemplateError(error.message, template) : error;
         }
     }
 
+    // Like interpolate, but walks arrays and objects, and a string that is a single {{tag}} keeps the value's type
+    interpolateValue(value, context) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.interpolateValue(item, context));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.interpolateValue(item, context)]));
+        }
+        if (typeof value !== 'string') {
+            return value;
+        }
+
+        const parts = parseTemplate(value);
+        if (parts.length === 1 && parts[0].type === 'tag') {
+            return this.evaluateTag(parts[0], { ...context, ctx: context.ctx || {} }, value);
+        }
+        return this.interpolate(value, context);
+    }
+
+    // Evaluates an expression against the template context (ctx, result, ...) without running arbitrary code
+    evaluateExpression(expr, context) {
+        const scope = { ...context, ctx: context.ctx || {} };
+        return evaluateAst(parseExpression(expr.trim()), scope, this.helpers, expr);
+    }
+
     getNestedProperty(obj, path) {
         return path.split('.').reduce((current, key) => {
             return current && current[key] !== undefined ? current[key] : undefined;
@@ -92,40 +757,414 @@ class PocketFlowCompiler {
         current[keys[keys.length - 1]] = value;
     }
 
-    // Node factory methods
-    createLLMNode(nodeConfig) {
+    createFunctionNode(nodeConfig) {
+        // Only the registry's own entries are callable, never inherited ones like `constructor`
+        const name = nodeConfig.exec?.function;
+        const functions = this.env.functions || {};
+        if (!Object.prototype.hasOwnProperty.call(functions, name) || typeof functions[name] !== 'function') {
+            throw new Error(`Node '${nodeConfig.id}': function '${name}' not found in env.functions`);
+        }
+
         const node = new Node(
             nodeConfig.retry?.max || 1,
-            nodeConfig.retry?.wait || 0
+            nodeConfig.retry?.wait || 0,
+            this.nodeOptions(nodeConfig)
         );
 
-        node.prep = (shared) => {
-            const context = { ctx: shared, result: shared._lastResult };
-            const prompt = this.interpolate(nodeConfig.exec?.prompt || '', context);
+        node.prep = (shared, run) => {
+            const context = this.templateContext(nodeConfig, shared, run.lastResult, run);
+            return { function: name, args: this.interpolateValue(nodeConfig.exec?.args ?? {}, context) };
+        };
+
+        node.exec = async (prepRes, signal) => {
+            // Sync and async functions alike; a Route is unwrapped here so cached results stay plain data
+            const returned = await functions[name](prepRes.args, { signal, route });
+            return returned instanceof Route
+                ? { result: returned.result, action: returned.action }
+                : { result: returned, action: null };
+        };
+
+        node.post = (shared, prepRes, execRes, run) => {
+            run.lastResult = execRes.result;
+
+            // Saved like args, so "{{result}}" stores the return value itself rather than its text
+            if (nodeConfig.post?.outputs?.save) {
+                const context = this.templateContext(nodeConfig, shared, execRes.result, run);
+                for (const save of nodeConfig.post.outputs.save) {
+                    const value = this.interpolateValue(save.value, context);
+                    this.setNestedProperty(shared, save.path, value);
+                }
+            }
+
+            return execRes.action || nodeConfig.post?.next || null;
+        };
+
+        return node;
+    }
+
+    // Tools name an env function or an env flow; flows given as configs are compiled here, once per node
+    agentTools(nodeConfig) {
+        return (nodeConfig.exec?.tools || []).map(tool => {
+            const validate = tool.parameters ? this.compileSchema(tool.parameters) : null;
+            const functions = this.env.functions || {};
+            const flows = this.env.flows || {};
+
+            if (tool.function !== undefined) {
+                if (!Object.prototype.hasOwnProperty.call(functions, tool.function) || typeof functions[tool.function] !== 'function') {
+                    throw new Error(`Node '${nodeConfig.id}': tool '${tool.name}' uses function '${tool.function}', not found in env.functions`);
+                }
+                return { ...tool, validate, call: (args, signal) => functions[tool.function](args, { signal, route }) };
+            }
+
+            if (!Object.prototype.hasOwnProperty.call(flows, tool.flow)) {
+                throw new Error(`Node '${nodeConfig.id}': tool '${tool.name}' uses flow '${tool.flow}', not found in env.flows`);
+            }
+            const flow = flows[tool.flow] instanceof BaseNode ? flows[tool.flow] : this.compile(flows[tool.flow]).flow;
+
+            // The flow runs on its own shared store seeded with the arguments; `output` picks what the agent sees.
+            // Like a nested flow it shares the agent's signal, events and middleware, and its context is layered
+            // over the run's so it can read it without clobbering the agent's lastResult or inputs
+            const call = async (args, signal, agent) => {
+                const shared = JSON.parse(JSON.stringify(args));
+                const run = flow._start({ signal, observer: agent._observer, context: Object.create(agent._context || {}) });
+                run._middleware = agent._middleware;
+                await run._run(shared);
+                return tool.output ? this.getNestedProperty(shared, tool.output) : shared;
+            };
+            return { ...tool, validate, call };
+        });
+    }
+
+    // Ajv validator for schemas found in node configs, sharing one Ajv instance per compiler
+    compileSchema(schema) {
+        if (!this.ajv) {
+            const Ajv = require('ajv');
+            this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+        }
+        return this.ajv.compile(schema);
+    }
+
+    createAgentNode(nodeConfig) {
+        const tools = this.agentTools(nodeConfig);
+        const maxTurns = nodeConfig.exec?.max_turns || 5;
+        const trajectoryPath = nodeConfig.exec?.trajectory || `trajectories.${nodeConfig.id}`;
+
+        const node = new Node(
+            nodeConfig.retry?.max || 1,
+            nodeConfig.retry?.wait || 0,
+            this.nodeOptions(nodeConfig)
+        );
+
+        node.prep = (shared, run) => {
+            const context = this.templateContext(nodeConfig, shared, run.lastResult, run);
+            const task = this.interpolate(nodeConfig.exec?.prompt || '', context);
+            return { task, model: nodeConfig.exec?.model || this.env.globals?.model || 'gpt-4o-mini' };
+        };
+
+        const compiler = this;
+        node.exec = async function (prepRes, signal) {
+            const trajectory = [];
+            for (let turn = 1; turn <= maxTurns; turn++) {
+                const prompt = agentPrompt(prepRes.task, tools, trajectory);
+                const reply = await compiler.callLLM({ prompt, model: prepRes.model }, signal, (text) => this._emit('token', { text }));
+
+                // A reply the agent can't use is recorded and shown back to it, and costs a turn
+                let decision;
+                try {
+                    decision = extractJSON(reply?.text || '');
+                } catch (error) {
+                    trajectory.push({ turn, reply: reply?.text, error: `reply is not valid JSON (${error.message})` });
+                    continue;
+                }
+
+                if (decision === null || typeof decision !== 'object' || Array.isArray(decision)) {
+                    trajectory.push({ turn, reply: reply.text, error: 'reply is not a JSON object' });
+                    continue;
+                }
+
+                if (decision.answer !== undefined) {
+                    trajectory.push({ turn, thought: decision.thought, answer: decision.answer });
+                    return { answer: decision.answer, done: true, turns: turn, trajectory };
+                }
+
+                const tool = tools.find(candidate => candidate.name === decision.tool);
+                if (!tool) {
+                    trajectory.push({ turn, reply: reply.text, error: `unknown tool '${decision.tool}'` });
+                    continue;
+                }
+
+                // Bad arguments and tool failures become observations, so the agent can correct itself
+                const args = decision.args ?? {};
+                let observation;
+                if (tool.validate && !tool.validate(args)) {
+                    observation = `Error: invalid args: ${schemaErrors(tool.validate.errors).join('; ')}`;
+                } else {
+                    try {
+                        observation = await tool.call(args, signal, this);
+                        if (observation instanceof Route) {
+                            observation = observation.result;
+                        }
+                    } catch (error) {
+                        if (signal?.aborted) throw error;
+                        observation = `Error: ${error.message}`;
+                    }
+                }
+                trajectory.push({ turn, thought: decision.thought, tool: tool.name, args, observation });
+            }
+
+            return { answer: null, done: false, turns: maxTurns, trajectory };
+        };
+
+        node.post = (shared, prepRes, execRes, run) => {
+            run.lastResult = execRes;
+            this.setNestedProperty(shared, trajectoryPath, execRes.trajectory);
+
+            if (nodeConfig.post?.outputs?.save) {
+                const context = this.templateContext(nodeConfig, shared, execRes, run);
+                for (const save of nodeConfig.post.outputs.save) {
+                    const value = this.interpolate(save.value, context);
+                    this.setNestedProperty(shared, save.path, value);
+                }
+            }
+
+            return nodeConfig.post?.next || null;
+        };
+
+        return node;
+    }
+
+    // Once the node's post has run, the first edge whose `when` holds (in declared order) decides the action;
+    // if none does, the node's own action (or `default`) applies as usual
+    addEdgeConditions(node, nodeConfig, edges) {
+        const hook = node instanceof AsyncNode ? 'postAsync' : 'post';
+        const post = node[hook];
+        const compiler = this;
+
+        node[hook] = async function (shared, prepRes, execRes, run) {
+            const action = await post.call(this, shared, prepRes, execRes, run);
+            // `result` is what the next node's templates will see
+            const context = compiler.templateContext(nodeConfig, shared, run?.lastResult ?? execRes, run);
+            const match = edges.find(edge => compiler.evaluateCondition(edge.when, context));
+            return match ? match.label || match.to : action;
+        };
+    }
+
+    // Values templates and conditions can read: ctx (shared), result and the node's resolved inputs.
+    // Inside a run the inputs come from the run context, where the node's prep left them (see resolveInputsFirst)
+    templateContext(nodeConfig, shared, result, run) {
+        return { ctx: shared, result, inputs: run?.inputs ?? this.resolveInputs(nodeConfig, shared) };
+    }
+
+    // Every kind resolves prep.inputs before its own prep, so a missing required input fails the node up front
+    // and later hooks reuse the values instead of reading shared again
+    resolveInputsFirst(node, nodeConfig) {
+        const hook = node instanceof AsyncNode ? 'prepAsync' : 'prep';
+        const prep = node[hook];
+        const compiler = this;
+
+        node[hook] = function (shared, run) {
+            const inputs = compiler.resolveInputs(nodeConfig, shared);
+            if (run) {
+                run.inputs = inputs;
+            }
+            return prep.call(this, shared, run);
+        };
+    }
+
+    // Resolves prep.inputs from shared, applying defaults and checking required inputs and types
+    resolveInputs(nodeConfig, shared) {
+        const inputs = {};
+
+        for (const input of nodeConfig.prep?.inputs || []) {
+            let value = this.getNestedProperty(shared, input.path);
+            if ((value === undefined || value === null) && input.default !== undefined) {
+                // Copied, so a node mutating its input can't change the config
+                value = JSON.parse(JSON.stringify(input.default));
+            }
+
+            if (value === undefined || value === null) {
+                if (input.required) {
+                    throw new InputError(nodeConfig.id, input.path, 'is required but missing from shared');
+                }
+            } else if (input.type && valueType(value) !== input.type) {
+                throw new InputError(nodeConfig.id, input.path, `must be ${input.type} but is ${valueType(value)}`);
+            }
+
+            inputs[inputName(input)] = value;
+        }
+
+        return inputs;
+    }
+
+    // Batch kinds iterate over their first declared input, or shared.items when none is declared
+    batchItems(nodeConfig, shared, run) {
+        const inputs = run?.inputs ?? this.resolveInputs(nodeConfig, shared);
+        const first = nodeConfig.prep?.inputs?.[0];
+        return (first ? inputs[inputName(first)] : shared.items) || [];
+    }
+
+    // Runtime options shared by every node kind
+    nodeOptions(nodeConfig) {
+        const retry = nodeConfig.retry || {};
+        const options = {
+            timeout: nodeConfig.timeout || 0,
+            backoff: retry.backoff || 'fixed',
+            maxWait: retry.max_wait || 0,
+            jitter: retry.jitter || false,
+            maxIterations: nodeConfig.loop_guard?.max_iterations || 0,
+            loopAction: nodeConfig.loop_guard?.action || 'loop_exceeded',
+            cache: this.cacheOptions(nodeConfig)
+        };
+
+        // retry.on lists the HTTP statuses, error codes or error names worth retrying
+        if (Array.isArray(retry.on)) {
+            options.retryIf = (error) => [error?.status, error?.code, error?.name]
+                .some(key => key !== undefined && retry.on.includes(key));
+        }
+
+        return options;
+    }
+
+    // Cache settings for a node with `cache`: the compiler's shared store, ttl, key and bypass
+    cacheOptions(nodeConfig) {
+        const cache = nodeConfig.cache;
+        if (!cache) {
+            return null;
+        }
+
+        // One store per compiler unless env.cacheStore is given, so recompiling a config reuses earlier results
+        if (!this.cacheStore) {
+            this.cacheStore = this.env.cacheStore || new MemoryCacheStore();
+        }
+
+        // Node identity covers the exec config too, so editing a node invalidates its entries
+        return {
+            store: this.cacheStore,
+            ttl: cache.ttl || 0,
+            key: cache.key || `${nodeConfig.id}:${JSON.stringify(nodeConfig.exec || {})}`,
+            bypass: cache.bypass || false
+        };
+    }
+
+    // Extra options for the batch kinds: concurrency limit and per-item failure handling
+    batchOptions(nodeConfig) {
+        return {
+            ...this.nodeOptions(nodeConfig),
+            concurrency: nodeConfig.exec?.concurrency || 0,
+            settle: nodeConfig.exec?.settle || false,
+            maxFailures: nodeConfig.exec?.max_failures ?? Infinity
+        };
+    }
+
+    // Calls env.llm, streaming through env.llm.stream when the client provides it
+    async callLLM(prepRes, signal, onToken) {
+        const request = { prompt: prepRes.prompt, model: prepRes.model };
+        if (!this.cassette) {
+            return await this.requestLLM(request, signal, onToken);
+        }
+
+        const result = await this.cassette.use('llm', request, () => this.requestLLM(request, signal, onToken));
+
+        // A replayed answer arrives as a single token, so streaming listeners still see its text
+        if (this.cassette.mode === 'replay' && typeof this.env.llm?.stream === 'function' && result?.text) {
+            onToken(result.text);
+        }
+        return result;
+    }
+    async requestLLM({ prompt, model }, signal, onToken) {
+        if (!this.env.llm) {
+            throw new Error('LLM environment not configured. Provide env.llm.call function.');
+        }
+
+        const request = { prompt, model, signal };
+        if (typeof this.env.llm.stream !== 'function') {
+            return await this.env.llm.call(request);
+        }
+
+        // Chunks may be strings or { text } objects; the assembled text is the node result
+        let text = '';
+        for await (const chunk of this.env.llm.stream(request)) {
+            const piece = typeof chunk === 'string' ? chunk : chunk?.text || '';
+            if (piece) {
+                text += piece;
+                onToken(piece);
+            }
+        }
+        return { text };
+    }
+
+    // Node factory methods
+    createLLMNode(nodeConfig, NodeClass = Node) {
+        const node = new NodeClass(
+            nodeConfig.retry?.max || 1,
+            nodeConfig.retry?.wait || 0,
+            this.nodeOptions(nodeConfig)
+        );
+
+        // exec.output asks for structured output: { format: 'json' | 'yaml', schema }
+        const output = nodeConfig.exec?.output;
+        const format = output?.format || 'json';
+        const validateOutput = output?.schema ? this.compileSchema(output.schema) : null;
+
+        node.prep = (shared, run) => {
+            const context = this.templateContext(nodeConfig, shared, run.lastResult, run);
+            let prompt = this.interpolate(nodeConfig.exec?.prompt || '', context);
+            if (output) {
+                prompt += `\n\n${outputInstructions(format, output.schema)}`;
+            }
             return { prompt, model: nodeConfig.exec?.model || this.env.globals?.model || 'gpt-4o-mini' };
         };
 
-        node.exec = async (prepRes) => {
-            if (!this.env.llm) {
-                throw new Error('LLM environment not configured. Provide env.llm.call function.');
+        const compiler = this;
+        node.exec = async function (prepRes, signal) {
+            // A regular function, so `this` is the running node copy that can emit token events
+            const onToken = (text) => this._emit('token', { text });
+            if (!output) {
+                return await compiler.callLLM(prepRes, signal, onToken);
             }
-            
-            const result = await this.env.llm.call({
-                prompt: prepRes.prompt,
-                model: prepRes.model
-            });
-            
-            return result;
+
+            // Retries show the LLM its rejected reply and what was wrong with it
+            const repair = this.curRetry > 0 ? this._outputRepair : null;
+            const request = repair
+                ? { ...prepRes, prompt: `${prepRes.prompt}\n\nYour previous reply was rejected:\n${repair.text}\n\nProblems:\n${repair.errors.map(error => `- ${error}`).join('\n')}\n\nReply again with the problems fixed.` }
+                : prepRes;
+            const result = await compiler.callLLM(request, signal, onToken);
+            const text = result?.text || '';
+
+            let data;
+            let errors = null;
+            try {
+                data = parseStructured(text, format);
+            } catch (error) {
+                errors = [`could not parse ${format}: ${error.message}`];
+            }
+            if (!errors && validateOutput && !validateOutput(data)) {
+                errors = schemaErrors(validateOutput.errors);
+            }
+            if (errors) {
+                this._outputRepair = { text, errors };
+                throw new OutputValidationError(nodeConfig.id, errors, text);
+            }
+
+            return { ...result, data, valid: true };
         };
 
-        node.post = (shared, prepRes, execRes) => {
-            shared._lastResult = execRes;
+        // Once retries are exhausted, post gets the last reply marked invalid instead of the node failing
+        if (output) {
+            node.execFallback = (prepRes, exc) => {
+                if (exc instanceof OutputValidationError) return { text: exc.text, data: null, valid: false, errors: exc.errors };
+                throw exc;
+            };
+        }
+
+        node.post = (shared, prepRes, execRes, run) => {
+            run.lastResult = execRes;
             
-            // Save outputs as configured
+            // Save outputs as configured; with exec.output, "{{result.data}}" saves the parsed value, not its text
             if (nodeConfig.post?.outputs?.save) {
-                const context = { ctx: shared, result: execRes };
+                const context = this.templateContext(nodeConfig, shared, execRes, run);
                 for (const save of nodeConfig.post.outputs.save) {
-                    const value = this.interpolate(save.value, context);
+                    const value = output ? this.interpolateValue(save.value, context) : this.interpolate(save.value, context);
                     this.setNestedProperty(shared, save.path, value);
                 }
             }
@@ -139,11 +1178,12 @@ class PocketFlowCompiler {
     createHTTPNode(nodeConfig) {
         const node = new Node(
             nodeConfig.retry?.max || 1,
-            nodeConfig.retry?.wait || 0
+            nodeConfig.retry?.wait || 0,
+            this.nodeOptions(nodeConfig)
         );
 
-        node.prep = (shared) => {
-            const context = { ctx: shared, result: shared._lastResult };
+        node.prep = (shared, run) => {
+            const context = this.templateContext(nodeConfig, shared, run.lastResult, run);
             return {
                 url: this.interpolate(nodeConfig.exec?.url || '', context),
                 method: nodeConfig.exec?.method || 'GET',
@@ -152,26 +1192,35 @@ class PocketFlowCompiler {
             };
         };
 
-        node.exec = async (prepRes) => {
-            const response = await fetch(prepRes.url, {
+        node.exec = async (prepRes, signal) => {
+            // Cassettes match on method, url and body; headers are left out so credentials never reach the file
+            const request = {
                 method: prepRes.method,
-                headers: prepRes.headers,
-                body: prepRes.method !== 'GET' ? JSON.stringify(prepRes.body) : undefined
-            });
-            
-            const data = await response.json().catch(() => ({}));
-            return {
-                status: response.status,
-                data: data,
-                headers: Object.fromEntries(response.headers.entries())
+                url: prepRes.url,
+                body: prepRes.method !== 'GET' ? prepRes.body : undefined
             };
+            const result = this.cassette
+                ? await this.cassette.use('http', request, () => this.fetchHTTP(prepRes, signal))
+                : await this.fetchHTTP(prepRes, signal);
+
+            if (result.status === 429 || result.status >= 500) {
+                throw new HTTPError(result);
+            }
+
+            return result;
+        };
+
+        // Once retries are exhausted, hand the last error response to post as before
+        node.execFallback = (prepRes, exc) => {
+            if (exc instanceof HTTPError) return exc.response;
+            throw exc;
         };
 
-        node.post = (shared, prepRes, execRes) => {
-            shared._lastResult = execRes;
+        node.post = (shared, prepRes, execRes, run) => {
+            run.lastResult = execRes;
             
             if (nodeConfig.post?.outputs?.save) {
-                const context = { ctx: shared, result: execRes };
+                const context = this.templateContext(nodeConfig, shared, execRes, run);
                 for (const save of nodeConfig.post.outputs.save) {
                     const value = this.interpolate(save.value, context);
                     this.setNestedProperty(shared, save.path, value);
@@ -184,8 +1233,23 @@ class PocketFlowCompiler {
         return node;
     }
 
+    async fetchHTTP(prepRes, signal) {
+        const response = await fetch(prepRes.url, {
+            method: prepRes.method,
+            headers: prepRes.headers,
+            body: prepRes.method !== 'GET' ? JSON.stringify(prepRes.body) : undefined,
+            signal
+        });
+
+        const data = await response.json().catch(() => ({}));
+        return {
+            status: response.status,
+            data: data,
+            headers: Object.fromEntries(response.headers.entries())
+        };
+    }
     createRouterNode(nodeConfig) {
-        const node = new Node();
+        const node = new Node(1, 0, this.nodeOptions(nodeConfig));
 
         node.prep = (shared) => {
             return { shared };
@@ -195,8 +1259,8 @@ class PocketFlowCompiler {
             return prepRes;
         };
 
-        node.post = (shared, prepRes, execRes) => {
-            const context = { ctx: shared, result: shared._lastResult };
+        node.post = (shared, prepRes, execRes, run) => {
+            const context = this.templateContext(nodeConfig, shared, run.lastResult, run);
             
             for (const case_ of nodeConfig.exec?.cases || []) {
                 if (!case_.when || this.evaluateCondition(case_.when, context)) {
@@ -211,7 +1275,7 @@ class PocketFlowCompiler {
     }
 
     createDataNode(nodeConfig) {
-        const node = new Node();
+        const node = new Node(1, 0, this.nodeOptions(nodeConfig));
 
         node.prep = (shared) => {
             return { shared };
@@ -221,9 +1285,10 @@ class PocketFlowCompiler {
             return nodeConfig.exec || {};
         };
 
-        node.post = (shared, prepRes, execRes) => {
+        node.post = (shared, prepRes, execRes, run) => {
             if (nodeConfig.post?.outputs?.save) {
-                const context = { ctx: shared, result: execRes };
+                // The static data is both the result and `exec`, as in "{{exec.message}}"
+                const context = { ...this.templateContext(nodeConfig, shared, execRes, run), exec: execRes };
                 for (const save of nodeConfig.post.outputs.save) {
                     const value = this.interpolate(save.value, context);
                     this.setNestedProperty(shared, save.path, value);
@@ -239,11 +1304,12 @@ class PocketFlowCompiler {
     createBatchNode(nodeConfig) {
         const node = new BatchNode(
             nodeConfig.retry?.max || 1,
-            nodeConfig.retry?.wait || 0
+            nodeConfig.retry?.wait || 0,
+            this.batchOptions(nodeConfig)
         );
 
-        node.prep = (shared) => {
-            return shared[nodeConfig.prep?.inputs?.[0]?.path || 'items'] || [];
+        node.prep = (shared, run) => {
+            return this.batchItems(nodeConfig, shared, run);
         };
 
         node.exec = async (items) => {
@@ -251,11 +1317,11 @@ class PocketFlowCompiler {
             return items;
         };
 
-        node.post = (shared, prepRes, execRes) => {
-            shared._lastResult = execRes;
+        node.post = (shared, prepRes, execRes, run) => {
+            run.lastResult = execRes;
             
             if (nodeConfig.post?.outputs?.save) {
-                const context = { ctx: shared, result: execRes };
+                const context = this.templateContext(nodeConfig, shared, execRes, run);
                 for (const save of nodeConfig.post.outputs.save) {
                     const value = this.interpolate(save.value, context);
                     this.setNestedProperty(shared, save.path, value);
@@ -268,56 +1334,20 @@ class PocketFlowCompiler {
         return node;
     }
 
+    // The llm kind on an AsyncNode, exec.output included; AsyncNode's *Async hooks run the llm hooks
     createAsyncNode(nodeConfig) {
-        const node = new AsyncNode(
-            nodeConfig.retry?.max || 1,
-            nodeConfig.retry?.wait || 0
-        );
-
-        node.prepAsync = async (shared) => {
-            const context = { ctx: shared, result: shared._lastResult };
-            const prompt = this.interpolate(nodeConfig.exec?.prompt || '', context);
-            return { prompt, model: nodeConfig.exec?.model || this.env.globals?.model || 'gpt-4o-mini' };
-        };
-
-        node.execAsync = async (prepRes) => {
-            if (!this.env.llm) {
-                throw new Error('LLM environment not configured. Provide env.llm.call function.');
-            }
-            
-            const result = await this.env.llm.call({
-                prompt: prepRes.prompt,
-                model: prepRes.model
-            });
-            
-            return result;
-        };
-
-        node.postAsync = async (shared, prepRes, execRes) => {
-            shared._lastResult = execRes;
-            
-            if (nodeConfig.post?.outputs?.save) {
-                const context = { ctx: shared, result: execRes };
-                for (const save of nodeConfig.post.outputs.save) {
-                    const value = this.interpolate(save.value, context);
-                    this.setNestedProperty(shared, save.path, value);
-                }
-            }
-            
-            return nodeConfig.post?.next || null;
-        };
-
-        return node;
+        return this.createLLMNode(nodeConfig, AsyncNode);
     }
 
     createParallelNode(nodeConfig) {
         const node = new AsyncParallelBatchNode(
             nodeConfig.retry?.max || 1,
-            nodeConfig.retry?.wait || 0
+            nodeConfig.retry?.wait || 0,
+            this.batchOptions(nodeConfig)
         );
 
-        node.prepAsync = async (shared) => {
-            return shared[nodeConfig.prep?.inputs?.[0]?.path || 'items'] || [];
+        node.prepAsync = async (shared, run) => {
+            return this.batchItems(nodeConfig, shared, run);
         };
 
         node.execAsync = async (items) => {
@@ -325,11 +1355,11 @@ class PocketFlowCompiler {
             return items;
         };
 
-        node.postAsync = async (shared, prepRes, execRes) => {
-            shared._lastResult = execRes;
+        node.postAsync = async (shared, prepRes, execRes, run) => {
+            run.lastResult = execRes;
             
             if (nodeConfig.post?.outputs?.save) {
-                const context = { ctx: shared, result: execRes };
+                const context = this.templateContext(nodeConfig, shared, execRes, run);
                 for (const save of nodeConfig.post.outputs.save) {
                     const value = this.interpolate(save.value, context);
                     this.setNestedProperty(shared, save.path, value);
@@ -344,15 +1374,208 @@ class PocketFlowCompiler {
 
     evaluateCondition(condition, context) {
         try {
-            return new Function('ctx', 'result', `return (${condition})`)(context.ctx, context.result);
+            return !!this.evaluateExpression(condition, context);
         } catch (e) {
             console.warn(`Condition evaluation failed: ${condition}`, e);
             return false;
         }
     }
 
+    // Checks a config against schema.json plus the references between nodes and edges; returns all errors found
+    validate(config) {
+        const validator = this.schemaValidatorFor();
+
+        const nodeAt = (path) => {
+            const match = /^\/nodes\/(\d+)/.exec(path);
+            return match ? config?.nodes?.[match[1]]?.id : undefined;
+        };
+        const errors = [];
+        // Conditions are parsed up front, so a typo fails compile() instead of silently never matching
+        const checkExpression = (source, path, node) => {
+            try {
+                parseExpression(source.trim());
+            } catch (error) {
+                errors.push({ path, node, message: error.message });
+            }
+        };
+
+        if (!validator(config)) {
+            for (const error of validator.errors) {
+                // Custom kind schemas are applied through if/then; the failing `then` is reported in detail already
+                if (error.keyword === 'if') {
+                    continue;
+                }
+                let message = error.message;
+                if (error.keyword === 'enum') {
+                    message += `: ${error.params.allowedValues.join(', ')}`;
+                } else if (error.keyword === 'additionalProperties') {
+                    message += `: '${error.params.additionalProperty}'`;
+                }
+                errors.push({ path: error.instancePath, node: nodeAt(error.instancePath), message });
+            }
+            // References can't be checked until the basic structure is right
+            return errors;
+        }
+
+        const seen = new Set();
+        config.nodes.forEach((node, i) => {
+            if (seen.has(node.id)) {
+                errors.push({ path: `/nodes/${i}/id`, node: node.id, message: 'duplicate node id' });
+            }
+            seen.add(node.id);
+        });
+
+        if (!seen.has(config.entry)) {
+            errors.push({ path: '/entry', message: `entry node '${config.entry}' not found` });
+        }
+
+        config.edges.forEach((edge, i) => {
+            for (const end of ['from', 'to']) {
+                if (!seen.has(edge[end])) {
+                    errors.push({ path: `/edges/${i}/${end}`, message: `node '${edge[end]}' not found` });
+                }
+            }
+            if (edge.when) {
+                checkExpression(edge.when, `/edges/${i}/when`);
+            }
+        });
+
+        config.nodes.forEach((node, i) => {
+            (node.exec?.cases || []).forEach((case_, j) => {
+                if (case_.when) {
+                    checkExpression(case_.when, `/nodes/${i}/exec/cases/${j}/when`, node.id);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    // schema.json with the kind enum taken from the registry and each registered kind's own schema applied;
+    // rebuilt whenever the set of kinds changes
+    schemaValidatorFor() {
+        const kinds = Object.keys(this.registry);
+        if (this.schemaValidator && this.schemaValidatorKinds === kinds.join(',')) {
+            return this.schemaValidator;
+        }
+
+        const schema = JSON.parse(JSON.stringify(require('./schema.json')));
+        const nodeSchema = schema.properties.nodes.items;
+        nodeSchema.properties.kind.enum = kinds;
+        const custom = kinds.filter(kind => this.kinds.get(kind)?.schema);
+        if (custom.length > 0) {
+            nodeSchema.allOf = custom.map(kind => ({
+                if: { properties: { kind: { const: kind } }, required: ['kind'] },
+                then: this.kinds.get(kind).schema
+            }));
+        }
+
+        const Ajv = require('ajv');
+        const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+        this.schemaValidator = ajv.compile(schema);
+        this.schemaValidatorKinds = kinds.join(',');
+        return this.schemaValidator;
+    }
+
+    // Adds a node kind. The factory gets (nodeConfig, compiler) and returns a node, or { prep, exec, execFallback, post }
+    // hooks that are put on a Node (an AsyncNode with `async: true`) built with the config's retry and runtime options.
+    // `schema` validates the kind's node configs; `description` (or the schema's) is shown to MetaAgentCreator.
+    // `actions` lists the actions the kind's post may return besides post.next; without it, edges from the kind may use any label.
+    registerKind(name, factory, options = {}) {
+        if (typeof name !== 'string' || name === '') {
+            throw new TypeError('Node kind name must be a non-empty string');
+        }
+        if (typeof factory !== 'function') {
+            throw new TypeError(`Factory for node kind '${name}' must be a function`);
+        }
+        if (name in this.registry) {
+            throw new Error(`Node kind '${name}' is already registered`);
+        }
+        if (options.actions !== undefined && !(Array.isArray(options.actions) && options.actions.every(action => typeof action === 'string'))) {
+            throw new TypeError(`Actions for node kind '${name}' must be an array of strings`);
+        }
+
+        this.registry[name] = (nodeConfig) => this.createCustomNode(nodeConfig, factory, options);
+        this.kinds.set(name, {
+            description: options.description || options.schema?.description || '',
+            schema: options.schema || null,
+            async: !!options.async,
+            actions: options.actions || null
+        });
+
+        // Build the validator now, so an invalid schema fails here rather than in compile()
+        try {
+            this.schemaValidatorFor();
+        } catch (error) {
+            delete this.registry[name];
+            this.kinds.delete(name);
+            throw new Error(`Invalid schema for node kind '${name}': ${error.message}`);
+        }
+
+        return this;
+    }
+
+    createCustomNode(nodeConfig, factory, options) {
+        const created = factory(nodeConfig, this);
+        if (created instanceof BaseNode) {
+            return created;
+        }
+
+        const NodeClass = options.async ? AsyncNode : Node;
+        const node = new NodeClass(
+            nodeConfig.retry?.max || 1,
+            nodeConfig.retry?.wait || 0,
+            this.nodeOptions(nodeConfig)
+        );
+
+        for (const hook of ['prep', 'exec', 'execFallback', 'post']) {
+            if (typeof created?.[hook] === 'function') {
+                node[hook] = created[hook];
+            }
+        }
+
+        // Without a post hook, behave like the built-in kinds: keep the result, save outputs, follow post.next
+        if (typeof created?.post !== 'function') {
+            node.post = (shared, prepRes, execRes, run) => {
+                run.lastResult = execRes;
+
+                if (nodeConfig.post?.outputs?.save) {
+                    const context = this.templateContext(nodeConfig, shared, execRes, run);
+                    for (const save of nodeConfig.post.outputs.save) {
+                        const value = this.interpolate(save.value, context);
+                        this.setNestedProperty(shared, save.path, value);
+                    }
+                }
+
+                return nodeConfig.post?.next || null;
+            };
+        }
+
+        return node;
+    }
+
+    // One line per kind for prompts: name, purpose and, for registered kinds, their config schema
+    describeKinds() {
+        return Object.keys(this.registry).map(name => {
+            const kind = this.kinds.get(name) || {};
+            let line = `- ${name}${kind.description ? `: ${kind.description}` : ''}`;
+            if (kind.schema) {
+                line += `\n  Node config schema: ${JSON.stringify(kind.schema)}`;
+            }
+            return line;
+        }).join('\n');
+    }
+
     // Main compilation method
-    compile(config) {
+    compile(config, options = {}) {
+        // Full validation is on unless disabled per call or for the whole compiler
+        if ((options.validate ?? this.env.validate) !== false) {
+            const errors = this.validate(config);
+            if (errors.length > 0) {
+                throw new ConfigValidationError(errors);
+            }
+        }
+
         // Validate required fields
         if (!config.version || !config.entry || !config.nodes || !config.edges) {
             throw new Error('Invalid config: missing required fields (version, entry, nodes, edges)');
@@ -374,6 +1597,9 @@ class PocketFlowCompiler {
             }
 
             const node = factory(nodeConfig);
+            this.resolveInputsFirst(node, nodeConfig);
+            node.id = nodeConfig.id;
+            node.kind = nodeConfig.kind;
             nodes.set(nodeConfig.id, node);
         }
 
@@ -386,31 +1612,34 @@ class PocketFlowCompiler {
                 throw new Error(`Edge references missing node: ${edge.from} -> ${edge.to}`);
             }
 
-            const label = edge.label || 'default';
+            // Conditional edges get their own action, taken when their condition holds
+            const label = edge.when ? edge.label || edge.to : edge.label || 'default';
             fromNode.next(toNode, label);
         }
 
+        for (const nodeConfig of config.nodes) {
+            const conditional = config.edges.filter(edge => edge.from === nodeConfig.id && edge.when);
+            if (conditional.length > 0) {
+                this.addEdgeConditions(nodes.get(nodeConfig.id), nodeConfig, conditional);
+            }
+        }
+
         // Create flow
         const startNode = nodes.get(config.entry);
         if (!startNode) {
             throw new Error(`Entry node not found: ${config.entry}`);
         }
 
-        // Determine flow type based on node types
-        const hasAsyncNodes = Array.from(nodes.values()).some(node => node instanceof AsyncNode);
-        const hasBatchNodes = Array.from(nodes.values()).some(node => node instanceof BatchNode || node instanceof AsyncBatchNode);
-
-        let flow;
-        if (hasAsyncNodes && hasBatchNodes) {
-            flow = new AsyncBatchFlow();
-        } else if (hasAsyncNodes) {
-            flow = new AsyncFlow();
-        } else if (hasBatchNodes) {
-            flow = new Flow(); // Regular Flow can handle BatchNodes
-        } else {
-            flow = new Flow();
-        }
+        const flowOptions = {
+            maxSteps: config.max_steps || 0,
+            checkpointStore: this.env.checkpointStore || null,
+            middleware: this.env.middleware || [],
+            // Wiring an `error` edge opts the flow into routing node exceptions along it
+            routeErrors: config.edges.some(edge => edge.label === 'error')
+        };
 
+        // A single Flow runs sync, async and batch nodes alike
+        const flow = new Flow(null, flowOptions);
         flow.start(startNode);
         flow.setParams(config.globals || {});
 
@@ -424,9 +1653,10 @@ class PocketFlowCompiler {
 
 // Meta Agent Creator - AI agent that creates other agents from descriptions
 class MetaAgentCreator {
-    constructor(llmClient) {
+    // options.compiler lets generated agents use a compiler with custom kinds (see registerKind)
+    constructor(llmClient, options = {}) {
         this.llm = llmClient;
-        this.compiler = new PocketFlowCompiler({ llm: llmClient });
+        this.compiler = options.compiler || new PocketFlowCompiler({ llm: llmClient });
     }
 
     async createAgentFromDescription(description, options = {}) {
@@ -466,6 +1696,9 @@ Use this EXACT structure:
     ]
 }
 
+Available node kinds:
+${this.compiler.describeKinds()}
+
 Return ONLY this JSON structure, no other text.`;
 
         try {
@@ -480,8 +1713,8 @@ Return ONLY this JSON structure, no other text.`;
             const config = JSON.parse(jsonMatch[0]);
             
             // Validate the configuration against schema
-            this.validateConfig(config);
             this.validateAgainstSchema(config);
+            this.validateConfig(config);
             
             return {
                 success: true,
@@ -533,37 +1766,10 @@ Return ONLY this JSON structure, no other text.`;
     }
 
     validateAgainstSchema(config) {
-        const schema = require('./schema.json');
-        
-        // Basic schema validation (you could use ajv for more comprehensive validation)
-        const requiredFields = schema.required || [];
-        for (const field of requiredFields) {
-            if (!(field in config)) {
-                throw new Error(`Missing required field: ${field}`);
-            }
-        }
-        
-        // Validate version format
-        if (config.version && !/^pf-js\/\d+\.\d+$/.test(config.version)) {
-            throw new Error(`Invalid version format: ${config.version}. Expected format: pf-js/1.0`);
-        }
-        
-        // Validate node kinds
-        const validKinds = schema.properties.nodes.items.properties.kind.enum || [];
-        for (const node of config.nodes) {
-            if (node.kind && !validKinds.includes(node.kind)) {
-                throw new Error(`Invalid node kind: ${node.kind}. Valid kinds: ${validKinds.join(', ')}`);
-            }
-        }
-        
-        // Validate edge structure
-        for (const edge of config.edges) {
-            const requiredEdgeFields = ['from', 'to'];
-            for (const field of requiredEdgeFields) {
-                if (!(field in edge)) {
-                    throw new Error(`Missing required edge field: ${field}`);
-                }
-            }
+        // Same validator compile() runs, so generated configs fail here with the full error list
+        const errors = this.compiler.validate(config);
+        if (errors.length > 0) {
+            throw new ConfigValidationError(errors);
         }
     }
 
@@ -572,13 +1778,25 @@ Return ONLY this JSON structure, no other text.`;
         const nodeActions = new Map();
         
         for (const node of config.nodes) {
-            const actions = new Set(['default']); // Always include default
+            // Function nodes (and other kinds that route at runtime) can take any edge
+            const kind = this.compiler.kinds.get(node.kind);
+            if (kind?.actions === null) {
+                nodeActions.set(node.id, null);
+                continue;
+            }
+
+            const actions = new Set(['default', 'error', ...(kind?.actions || [])]); // Always include default and error
             
             // Check if node has specific next actions
             if (node.post && node.post.next) {
                 actions.add(node.post.next);
             }
             
+            // Loop-guarded nodes can route to their loop action
+            if (node.loop_guard) {
+                actions.add(node.loop_guard.action || 'loop_exceeded');
+            }
+            
             // Check for router cases
             if (node.kind === 'router' && node.exec && node.exec.cases) {
                 for (const case_ of node.exec.cases) {
@@ -596,10 +1814,13 @@ Return ONLY this JSON structure, no other text.`;
             const fromNode = config.nodes.find(n => n.id === edge.from);
             if (!fromNode) continue;
             
+            // Conditional edges bring their own action
+            if (edge.when) continue;
+
             const validActions = nodeActions.get(edge.from);
             const edgeLabel = edge.label || 'default';
             
-            if (!validActions.has(edgeLabel)) {
+            if (validActions && !validActions.has(edgeLabel)) {
                 throw new Error(`Invalid edge routing: Node '${edge.from}' cannot route to '${edge.to}' with label '${edgeLabel}'. Valid actions: ${Array.from(validActions).join(', ')}`);
             }
         }
@@ -614,7 +1835,7 @@ Return ONLY this JSON structure, no other text.`;
         
         // Run the compiled agent
         const { flow } = result.compiled;
-        const executionResult = await flow.run(shared);
+        const executionResult = await flow.run(shared, { signal: options.signal });
         
         return {
             success: true,
@@ -626,7 +1847,7 @@ Return ONLY this JSON structure, no other text.`;
 }
 
 // Export for Node.js or browser
-const classes = { PocketFlowCompiler, MetaAgentCreator };
+const classes = { PocketFlowCompiler, MetaAgentCreator, route, HTTPError, ExpressionError, TemplateError, ConfigValidationError, InputError, OutputValidationError, Cassette, CassetteMissError };
 if (typeof module !== 'undefined' && module.exports) module.exports = classes;
 else if (typeof window !== 'undefined') window.PocketFlowCompiler = classes;
 
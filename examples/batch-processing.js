@@ -100,8 +100,7 @@ async function runBatchProcessing() {
         console.log(`Processing ${sampleDocuments.length} documents...`);
         
         const shared = {
-            documents: sampleDocuments,
-            _lastResult: null
+            documents: sampleDocuments
         };
         
         await flow.run(shared);
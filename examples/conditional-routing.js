@@ -166,8 +166,7 @@ async function runConditionalRouting() {
             console.log(`Expected outcome: ${testCase.expected}`);
             
             const shared = {
-                content: testCase.content,
-                _lastResult: null
+                content: testCase.content
             };
             
             await flow.run(shared);
@@ -1,7 +1,7 @@
 // Example: Complete AI Agent Workflow using PocketFlow Compiler
 // This demonstrates how to create a sophisticated AI agent from JSON configuration
 
-const { PocketFlowCompiler } = require('./compiler.js');
+const { PocketFlowCompiler } = require('../compiler.js');
 
 // Example: Content Creation Agent
 const contentCreationAgent = {
@@ -128,13 +128,14 @@ const contentCreationAgent = {
         }
     ],
     edges: [
-        { from: "research", to: "outline" },
-        { from: "outline", to: "write" },
-        { from: "write", to: "review" },
-        { from: "review", to: "route" },
+        { from: "research", to: "outline", label: "outline" },
+        { from: "outline", to: "write", label: "write" },
+        { from: "write", to: "review", label: "review" },
+        { from: "review", to: "route", label: "route" },
         { from: "route", to: "revise", label: "revise" },
         { from: "route", to: "publish", label: "publish" },
-        { from: "revise", to: "review" }
+        { from: "revise", to: "review", label: "review" },
+        { from: "revise", to: "publish", label: "loop_exceeded" }
     ]
 };
 
@@ -266,18 +267,20 @@ const mockLLM = {
     }
 };
 
-// Mock HTTP client
+// Mock HTTP client, standing in for the global fetch that http nodes call
 const mockHTTP = {
     async fetch(url, options) {
         console.log(`[HTTP] ${options.method} ${url}`);
-        return {
+        return new Response(JSON.stringify({ id: "article_123", url: "https://example.com/articles/123" }), {
             status: 200,
-            json: async () => ({ id: "article_123", url: "https://example.com/articles/123" })
-        };
+            headers: { "content-type": "application/json" }
+        });
     }
 };
 
 async function runExample() {
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = mockHTTP.fetch;
     try {
         console.log("🤖 Running Content Creation Agent Example...\n");
         
@@ -290,8 +293,7 @@ async function runExample() {
         
         const shared = {
             topic: "Artificial Intelligence in Healthcare",
-            author: "AI Assistant",
-            _lastResult: null
+            author: "AI Assistant"
         };
         
         console.log("Initial state:", JSON.stringify(shared, null, 2));
@@ -303,6 +305,8 @@ async function runExample() {
         
     } catch (error) {
         console.error("Example failed:", error);
+    } finally {
+        globalThis.fetch = realFetch;
     }
 }
 
@@ -102,8 +102,14 @@ app.post('/api/agent/meta-creator', async (req, res) => {
         
         console.log(`Creating agent from description: "${description}"`);
         
+        // Stop the flow (and any in-flight LLM/HTTP call) if the client disconnects
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+        
         // Create and run the agent
-        const result = await metaCreator.createAndRunAgent(description, shared, options);
+        const result = await metaCreator.createAndRunAgent(description, shared, { ...options, signal: controller.signal });
         
         res.json({
             success: true,
@@ -160,6 +166,47 @@ app.post('/api/agent/meta-creator/config', async (req, res) => {
     }
 });
 
+// Streaming endpoint: forwards flow progress as Server-Sent Events
+app.post('/api/agent/meta-creator/stream', async (req, res) => {
+    const { description, shared = {}, options = {} } = req.body;
+    
+    if (!description) {
+        return res.status(400).json({ 
+            error: 'Description is required' 
+        });
+    }
+    
+    const result = await metaCreator.createAgentFromDescription(description, options);
+    if (!result.success) {
+        return res.status(400).json({
+            success: false,
+            error: result.error
+        });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    // Stop the flow if the client disconnects
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    
+    try {
+        for await (const event of result.compiled.flow.stream(shared, { signal: controller.signal })) {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+    } catch (error) {
+        if (!controller.signal.aborted) {
+            res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+        }
+    }
+    res.end();
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ status: 'ok', service: 'pocketflow-meta-creator' });
@@ -171,6 +218,7 @@ app.listen(PORT, () => {
     console.log(`📡 Endpoints:`);
     console.log(`   POST /api/agent/meta-creator - Create and run agent`);
     console.log(`   POST /api/agent/meta-creator/config - Create agent config only`);
+    console.log(`   POST /api/agent/meta-creator/stream - Create and run agent, streaming progress (SSE)`);
     console.log(`   GET /health - Health check`);
 });
 
@@ -70,7 +70,7 @@ async function runSimpleAgent() {
         
         for (const testCase of testCases) {
             console.log(`Testing with name: ${testCase.name}`);
-            const shared = { ...testCase, _lastResult: null };
+            const shared = { ...testCase };
             
             await flow.run(shared);
             
@@ -0,0 +1,116 @@
+// Test script for cancelling runs with an AbortSignal
+const assert = require('assert');
+const { Node, AsyncBatchNode, Flow, BatchFlow } = require('../index.js');
+
+const isAbortError = (error) => error.name === 'AbortError';
+
+async function testBetweenNodes() {
+    // The first node aborts the run; the flow stops before the second one
+    const controller = new AbortController();
+    const ran = [];
+    class First extends Node {
+        post() { ran.push('first'); controller.abort(); return 'next'; }
+    }
+    class Second extends Node {
+        post() { ran.push('second'); }
+    }
+    const first = new First();
+    first.sub('next').rshift(new Second());
+
+    await assert.rejects(new Flow(first).run({}, { signal: controller.signal }), isAbortError);
+    assert.deepStrictEqual(ran, ['first']);
+
+    // An abort reason is what the run rejects with
+    const reason = new Error('client went away');
+    await assert.rejects(new Flow(new Second()).run({}, { signal: AbortSignal.abort(reason) }), (error) => error === reason);
+    assert.deepStrictEqual(ran, ['first']);
+}
+
+async function testDuringBackoff() {
+    // A 10s backoff wait is cut short, and neither the retry nor the fallback runs
+    let calls = 0, fallbacks = 0;
+    class Flaky extends Node {
+        exec() { calls++; throw new Error('flaky'); }
+        execFallback() { fallbacks++; return 'fallback'; }
+    }
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const started = Date.now();
+    await assert.rejects(new Flow(new Flaky(3, 10)).run({}, { signal: controller.signal }), isAbortError);
+    assert.ok(Date.now() - started < 1000, 'the run rejects without waiting out the backoff');
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(fallbacks, 0);
+}
+
+async function testBetweenBatchItems() {
+    // Batch node items: the item that aborts finishes, the next one never starts
+    const controller = new AbortController();
+    const seen = [];
+    class Items extends AsyncBatchNode {
+        prep() { return [1, 2, 3]; }
+        exec(item) { seen.push(item); if (item === 2) controller.abort(); return item; }
+    }
+    await assert.rejects(new Flow(new Items()).run({}, { signal: controller.signal }), isAbortError);
+    assert.deepStrictEqual(seen, [1, 2]);
+
+    // Batch flow items: the sub-flow for the next param set never runs
+    const flowController = new AbortController();
+    const params = [];
+    class Step extends Node {
+        post() { params.push(this.params.n); if (this.params.n === 1) flowController.abort(); }
+    }
+    class PerItem extends BatchFlow {
+        prep() { return [{ n: 1 }, { n: 2 }]; }
+    }
+    await assert.rejects(new PerItem(new Step()).run({}, { signal: flowController.signal }), isAbortError);
+    assert.deepStrictEqual(params, [1]);
+}
+
+async function testDuringTimedAttempt() {
+    // An exec that ignores its signal can't hold an aborted run until its timeout
+    let execSignal;
+    class Hangs extends Node {
+        exec(prepRes, signal) { execSignal = signal; return new Promise(() => {}); }
+    }
+    const controller = new AbortController();
+    const reason = new Error('stop');
+    setTimeout(() => controller.abort(reason), 20);
+
+    const started = Date.now();
+    await assert.rejects(new Flow(new Hangs(3, 0, { timeout: 200 })).run({}, { signal: controller.signal }), (error) => error === reason);
+    assert.ok(Date.now() - started < 150, 'the run rejects before the timeout fires');
+    assert.ok(execSignal.aborted, "the attempt's signal is aborted too");
+    assert.strictEqual(execSignal.reason, reason);
+}
+
+async function testAbort() {
+    try {
+        console.log("🧪 Testing cancellation...\n");
+
+        await testBetweenNodes();
+        console.log("✅ An aborted run stops before the next node");
+
+        await testDuringBackoff();
+        console.log("✅ Aborting cuts a backoff wait short");
+
+        await testBetweenBatchItems();
+        console.log("✅ Aborting stops batch nodes and batch flows between items");
+
+        await testDuringTimedAttempt();
+        console.log("✅ Aborting ends an attempt that has a timeout");
+
+        console.log("\n✅ All cancellation tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testAbort();
+}
+
+module.exports = { testAbort };
@@ -0,0 +1,73 @@
+// Test script for caching exec results
+const assert = require('assert');
+const { Node, Flow, BatchFlow, MemoryCacheStore } = require('../index.js');
+
+async function testCacheHits() {
+    let calls = 0;
+    class Double extends Node {
+        prep(shared) { return shared.n; }
+        exec(n) { calls++; return n * 2; }
+        post(shared, prepRes, execRes) { shared.result = execRes; }
+    }
+    const node = new Double(1, 0, { cache: true });
+
+    const first = {}, second = {}, other = {};
+    await node.run(Object.assign(first, { n: 2 }));
+    await node.run(Object.assign(second, { n: 2 }));
+    await node.run(Object.assign(other, { n: 3 }));
+    assert.deepStrictEqual([first.result, second.result, other.result], [4, 4, 6]);
+    assert.strictEqual(calls, 2, 'the second run with the same prep result is a hit');
+}
+
+async function testParamsInKey() {
+    // prep ignores params, so only params tell the batch items apart
+    const calls = [];
+    class Greet extends Node {
+        prep() { return 'hello'; }
+        exec(greeting) { calls.push(this.params.name); return `${greeting} ${this.params.name}`; }
+        post(shared, prepRes, execRes) { shared.greetings.push(execRes); }
+    }
+    class PerName extends BatchFlow {
+        prep() { return [{ name: 'ann' }, { name: 'bob' }]; }
+    }
+    const store = new MemoryCacheStore();
+    const flow = new PerName(new Greet(1, 0, { cache: { store } }));
+
+    const shared = { greetings: [] };
+    await flow.run(shared);
+    assert.deepStrictEqual(shared.greetings, ['hello ann', 'hello bob']);
+
+    // Two instances of one class with different params don't share entries either
+    const again = { greetings: [] };
+    const single = new Flow(new Greet(1, 0, { cache: { store } }));
+    single.setParams({ name: 'cy' });
+    await single.run(again);
+    await flow.run(again);
+    assert.deepStrictEqual(again.greetings, ['hello cy', 'hello ann', 'hello bob']);
+    assert.deepStrictEqual(calls, ['ann', 'bob', 'cy'], 'the rerun of the batch is served from the cache');
+}
+
+async function testCache() {
+    try {
+        console.log("🧪 Testing caching...\n");
+
+        await testCacheHits();
+        console.log("✅ Equal prep results reuse the cached exec result");
+
+        await testParamsInKey();
+        console.log("✅ Params are part of the cache key");
+
+        console.log("\n✅ All cache tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testCache();
+}
+
+module.exports = { testCache };
@@ -0,0 +1,111 @@
+// Test script for recording a compiled flow to a cassette and replaying it offline
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PocketFlowCompiler, Cassette, CassetteMissError } = require('../compiler.js');
+
+const config = {
+    version: "pf-js/1.0",
+    entry: "weather",
+    nodes: [
+        {
+            id: "weather",
+            kind: "http",
+            exec: { url: "https://weather.example/{{ctx.city}}" },
+            post: { outputs: { save: [{ path: "forecast", value: "{{result.data.forecast}}" }] }, next: "advise" }
+        },
+        {
+            id: "advise",
+            kind: "llm",
+            exec: { prompt: "Forecast for {{ctx.city}}: {{ctx.forecast}}. What should I wear?" },
+            retry: { max: 3 },
+            post: { outputs: { save: [{ path: "advice", value: "{{result.text}}" }] } }
+        }
+    ],
+    edges: [{ from: "weather", to: "advise", label: "advise" }]
+};
+
+async function testRecordReplay(dir) {
+    const file = path.join(dir, 'weather.json');
+
+    // Record against stand-ins for the real providers
+    const llmCalls = [];
+    const llm = { async call({ prompt }) { llmCalls.push(prompt); return { text: `Bring a coat (${llmCalls.length})` }; } };
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (url) => new Response(JSON.stringify({ forecast: url.endsWith('oslo') ? 'snow' : 'sun' }), {
+        status: 200,
+        headers: { 'content-type': 'application/json' }
+    });
+    let recorded;
+    try {
+        const recorder = new PocketFlowCompiler({ llm, cassette: { path: file, mode: 'record' } });
+        recorded = { city: 'oslo' };
+        await recorder.compile(config).flow.run(recorded);
+    } finally {
+        globalThis.fetch = realFetch;
+    }
+    assert.deepStrictEqual(recorded, { city: 'oslo', forecast: 'snow', advice: 'Bring a coat (1)' });
+
+    const cassette = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(cassette.interactions.map(interaction => interaction.kind), ['http', 'llm']);
+    assert.deepStrictEqual(cassette.interactions[0].request, { method: 'GET', url: 'https://weather.example/oslo' });
+
+    // Replay needs neither an LLM client nor the network, and gives the same result
+    const replayer = new PocketFlowCompiler({ cassette: new Cassette(file, 'replay') });
+    const replayed = { city: 'oslo' };
+    await replayer.compile(config).flow.run(replayed);
+    assert.deepStrictEqual(replayed, recorded);
+    assert.strictEqual(llmCalls.length, 1);
+}
+
+async function testReplayMiss(dir) {
+    const file = path.join(dir, 'weather.json');
+    const replayer = new PocketFlowCompiler({ cassette: new Cassette(file, 'replay') });
+
+    // An unrecorded request fails at once rather than being retried
+    const retries = [];
+    await assert.rejects(
+        replayer.compile(config).flow.run({ city: 'lima' }, {
+            observer: (event, data) => { if (event === 'retry') retries.push(data); }
+        }),
+        (error) => {
+            assert.ok(error instanceof CassetteMissError);
+            assert.strictEqual(error.kind, 'http');
+            assert.strictEqual(error.request.url, 'https://weather.example/lima');
+            return true;
+        }
+    );
+    assert.strictEqual(retries.length, 0);
+
+    assert.throws(() => new Cassette(path.join(dir, 'missing.json'), 'replay'), /ENOENT/);
+    assert.throws(() => new Cassette(file, 'rewind'), /Invalid cassette mode/);
+}
+
+async function testCassette() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pf-cassettes-'));
+    try {
+        console.log("🧪 Testing record & replay...\n");
+
+        await testRecordReplay(dir);
+        console.log("✅ A recorded flow replays offline with the same result");
+
+        await testReplayMiss(dir);
+        console.log("✅ Unrecorded requests fail with CassetteMissError");
+
+        console.log("\n✅ All cassette tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testCassette();
+}
+
+module.exports = { testCassette };
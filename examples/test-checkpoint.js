@@ -0,0 +1,123 @@
+// Test script for checkpointing a run and resuming it after a crash
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Node, Flow, BatchFlow, MemoryCheckpointStore, FileCheckpointStore } = require('../index.js');
+
+// Counts its runs in shared and crashes while `crash` says so, like a process dying mid-flow
+class Step extends Node {
+    constructor(name, crash = () => false) { super(); this.id = name; this.crash = crash; }
+    prep(shared) {
+        if (this.crash(this.params)) throw new Error(`crashed in ${this.id}`);
+        return this.params.item;
+    }
+    post(shared, prepRes) {
+        const key = prepRes === undefined ? this.id : `${this.id}:${prepRes}`;
+        shared.runs[key] = (shared.runs[key] || 0) + 1;
+    }
+}
+
+async function testResumeFlow() {
+    let crashing = true;
+    const a = new Step('a'), b = new Step('b'), c = new Step('c', () => crashing);
+    a.next(b); b.next(c);
+    const store = new MemoryCheckpointStore();
+    const flow = new Flow(a, { checkpointStore: store });
+
+    await assert.rejects(flow.run({ runs: {} }, { runId: 'run-1' }), /crashed in c/);
+    const checkpoint = await store.load('run-1');
+    assert.strictEqual(checkpoint.node, 'b');
+    assert.strictEqual(checkpoint.next, 'c');
+    assert.deepStrictEqual(checkpoint.shared, { runs: { a: 1, b: 1 } });
+
+    // Only the node that never finished runs again
+    crashing = false;
+    await flow.resume(checkpoint);
+    assert.deepStrictEqual(checkpoint.shared.runs, { a: 1, b: 1, c: 1 });
+    assert.strictEqual((await store.load('run-1')).next, null);
+}
+
+async function testResumeBatchFlow() {
+    // Item 1 crashes between its two steps
+    let crashing = true;
+    const fetch = new Step('fetch'), save = new Step('save', (params) => crashing && params.item === 'y');
+    fetch.next(save);
+    class PerItem extends BatchFlow {
+        prep() { return ['x', 'y', 'z'].map(item => ({ item })); }
+    }
+    const store = new MemoryCheckpointStore();
+    const flow = new PerItem(fetch, { checkpointStore: store });
+
+    await assert.rejects(flow.run({ runs: {} }, { runId: 'batch-1' }), /crashed in save/);
+    const checkpoint = await store.load('batch-1');
+    assert.deepStrictEqual(checkpoint.batch, { index: 1, completed: [0] });
+    assert.strictEqual(checkpoint.next, 'save');
+
+    // Item 0 is skipped, item 1 continues at `save`, item 2 runs in full
+    crashing = false;
+    await flow.resume(checkpoint);
+    assert.deepStrictEqual(checkpoint.shared.runs, {
+        'fetch:x': 1, 'save:x': 1,
+        'fetch:y': 1, 'save:y': 1,
+        'fetch:z': 1, 'save:z': 1
+    });
+    assert.deepStrictEqual((await store.load('batch-1')).batch.completed, [0, 1, 2]);
+}
+
+async function testFileCheckpointStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pf-checkpoints-'));
+    try {
+        const store = new FileCheckpointStore(dir);
+        assert.strictEqual(await store.load('missing'), null);
+
+        const checkpoint = { runId: 'a/b', next: 'c', shared: { list: [1, 2], nested: { ok: true } } };
+        await store.save('a/b', checkpoint);
+        assert.deepStrictEqual(await store.load('a/b'), checkpoint);
+        assert.deepStrictEqual(fs.readdirSync(dir), ['a%2Fb.json'], 'run ids are encoded and no temp file is left');
+
+        // A flow run on a fresh store instance resumes from the file
+        let crashing = true;
+        const a = new Step('a'), b = new Step('b', () => crashing);
+        a.next(b);
+        await assert.rejects(new Flow(a, { checkpointStore: store }).run({ runs: {} }, { runId: 'file-run' }), /crashed in b/);
+        crashing = false;
+        const reopened = new FileCheckpointStore(dir);
+        const saved = await reopened.load('file-run');
+        await new Flow(a, { checkpointStore: reopened }).resume(saved);
+        assert.deepStrictEqual(saved.shared.runs, { a: 1, b: 1 });
+
+        await store.delete('a/b');
+        assert.strictEqual(await store.load('a/b'), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function testCheckpoint() {
+    try {
+        console.log("🧪 Testing checkpoint & resume...\n");
+
+        await testResumeFlow();
+        console.log("✅ A crashed flow resumes at the unfinished node");
+
+        await testResumeBatchFlow();
+        console.log("✅ A crashed batch flow skips completed items and resumes inside the current one");
+
+        await testFileCheckpointStore();
+        console.log("✅ FileCheckpointStore round-trips checkpoints");
+
+        console.log("\n✅ All checkpoint tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testCheckpoint();
+}
+
+module.exports = { testCheckpoint };
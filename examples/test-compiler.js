@@ -1,5 +1,5 @@
 // Test script to verify the compiler works with the actual PocketFlow implementation
-const { PocketFlowCompiler } = require('./compiler.js');
+const { PocketFlowCompiler } = require('../compiler.js');
 
 // Mock LLM environment for testing
 const mockLLM = {
@@ -103,8 +103,8 @@ const testConfig = {
         }
     ],
     edges: [
-        { from: "greet", to: "analyze" },
-        { from: "analyze", to: "route" },
+        { from: "greet", to: "analyze", label: "analyze" },
+        { from: "analyze", to: "route", label: "route" },
         { from: "route", to: "positive", label: "positive" },
         { from: "route", to: "negative", label: "negative" },
         { from: "route", to: "neutral", label: "neutral" }
@@ -126,8 +126,7 @@ async function testCompiler() {
         // Test the flow
         console.log("\n🚀 Running flow...");
         const shared = { 
-            name: "Alice",
-            _lastResult: null
+            name: "Alice"
         };
         
         console.log("Initial shared state:", JSON.stringify(shared, null, 2));
@@ -146,11 +145,13 @@ async function testCompiler() {
             console.log("\n✅ All tests passed! The compiler works correctly with your PocketFlow implementation.");
         } else {
             console.log(`\n⚠️  Missing expected outputs: ${missingKeys.join(', ')}`);
+            process.exitCode = 1;
         }
         
     } catch (error) {
         console.error("❌ Test failed:", error.message);
         console.error(error.stack);
+        process.exitCode = 1;
     }
 }
 
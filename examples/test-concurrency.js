@@ -0,0 +1,159 @@
+// Test script to verify that concurrent runs of one flow instance don't share state
+const assert = require('assert');
+const { Node, AsyncNode, AsyncFlow, AsyncParallelBatchNode, AsyncParallelBatchFlow } = require('../index.js');
+const { PocketFlowCompiler } = require('../compiler.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Mock LLM that answers out of order, so overlapping runs interleave
+const mockLLM = {
+    async call({ prompt }) {
+        await sleep(Math.random() * 20);
+        return { text: `echo: ${prompt}` };
+    }
+};
+
+const compiledConfig = {
+    version: "pf-js/1.0",
+    entry: "greet",
+    nodes: [
+        {
+            id: "greet",
+            kind: "llm",
+            exec: { prompt: "Hello {{ctx.name}}" },
+            post: {
+                outputs: {
+                    save: [{ path: "greeting", value: "{{result.text}}" }]
+                },
+                next: "check"
+            }
+        },
+        {
+            id: "check",
+            kind: "router",
+            exec: {
+                cases: [
+                    { label: "save", when: "result.text === 'echo: Hello ' + ctx.name" }
+                ]
+            }
+        },
+        {
+            id: "save",
+            kind: "data",
+            exec: { status: "matched" },
+            post: {
+                outputs: {
+                    save: [{ path: "status", value: "{{result.status}}" }]
+                }
+            }
+        }
+    ],
+    edges: [
+        { from: "greet", to: "check", label: "check" },
+        { from: "check", to: "save", label: "save" }
+    ]
+};
+
+async function testCompiledFlow() {
+    const compiler = new PocketFlowCompiler({ llm: mockLLM });
+    const { flow } = compiler.compile(compiledConfig);
+
+    const names = Array.from({ length: 25 }, (_, i) => `user-${i}`);
+    const states = names.map(name => ({ name }));
+    await Promise.all(states.map(shared => flow.run(shared)));
+
+    states.forEach((shared, i) => {
+        assert.strictEqual(shared.greeting, `echo: Hello ${names[i]}`);
+        assert.strictEqual(shared.status, 'matched', `router saw another run's result for ${names[i]}`);
+        assert.ok(!('_lastResult' in shared), 'run context must not leak into shared');
+    });
+}
+
+async function testRetryStateIsPerRun() {
+    // Fails the first attempt of every run; a shared curRetry would make later runs skip their retry
+    class Flaky extends AsyncNode {
+        async prepAsync(shared) { return shared.id; }
+        async execAsync(id) {
+            const attempt = this.curRetry;
+            await sleep(Math.random() * 10);
+            if (attempt === 0) throw new Error(`first attempt of ${id}`);
+            return { id, attempt };
+        }
+        async postAsync(shared, prepRes, execRes) { shared.result = execRes; }
+    }
+
+    const flow = new AsyncFlow(new Flaky(2));
+    const states = Array.from({ length: 20 }, (_, id) => ({ id }));
+    await Promise.all(states.map(shared => flow.runAsync(shared)));
+
+    states.forEach((shared, i) => {
+        assert.deepStrictEqual(shared.result, { id: i, attempt: 1 });
+    });
+}
+
+async function testParallelBatchItems() {
+    // Each item's retries happen on its own copy of the node
+    class Square extends AsyncParallelBatchNode {
+        async prepAsync(shared) { return shared.numbers; }
+        async execAsync(n) {
+            await sleep(Math.random() * 10);
+            if (this.curRetry === 0 && n % 2 === 0) throw new Error(`retry ${n}`);
+            return { n: n * n, attempt: this.curRetry };
+        }
+        async postAsync(shared, prepRes, execRes) { shared.squares = execRes; }
+    }
+
+    const node = new Square(2);
+    const shared = { numbers: [1, 2, 3, 4, 5, 6] };
+    await node.runAsync(shared);
+    assert.deepStrictEqual(shared.squares.map(r => r.n), [1, 4, 9, 16, 25, 36]);
+    assert.deepStrictEqual(shared.squares.map(r => r.attempt), [0, 1, 0, 1, 0, 1]);
+
+    // Batch items get their own run context, so one item's lastResult never reaches another
+    class Remember extends Node {
+        post(shared, prepRes, execRes, context) { context.lastResult = this.params.file; }
+    }
+    class Recall extends AsyncNode {
+        async execAsync() { await sleep(Math.random() * 10); }
+        async postAsync(shared, prepRes, execRes, context) { shared.seen[this.params.file] = context.lastResult; }
+    }
+    class PerFile extends AsyncParallelBatchFlow {
+        async prepAsync(shared) { return shared.files.map(file => ({ file })); }
+    }
+
+    const remember = new Remember();
+    remember.next(new Recall());
+    const batch = new PerFile(new AsyncFlow(remember));
+    const files = ['a.txt', 'b.txt', 'c.txt', 'd.txt'];
+    const batchShared = { files, seen: {} };
+    await batch.runAsync(batchShared);
+    files.forEach(file => assert.strictEqual(batchShared.seen[file], file));
+}
+
+async function testConcurrency() {
+    try {
+        console.log("🧪 Testing concurrent runs...\n");
+
+        await testCompiledFlow();
+        console.log("✅ Concurrent runs of one compiled flow stay isolated");
+
+        await testRetryStateIsPerRun();
+        console.log("✅ Retry counters are per run");
+
+        await testParallelBatchItems();
+        console.log("✅ Parallel batch items keep their own retries and context");
+
+        console.log("\n✅ All concurrency tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testConcurrency();
+}
+
+module.exports = { testConcurrency };
@@ -0,0 +1,125 @@
+// Test script for conditional edges (`when`) in compiled configs
+const assert = require('assert');
+const { PocketFlowCompiler } = require('../compiler.js');
+
+const compiler = new PocketFlowCompiler({
+    llm: { async call({ prompt }) { return { text: prompt }; } }
+});
+
+// Target nodes record which one ran
+const target = (id) => ({ id, kind: "data", exec: { reached: id }, post: { outputs: { save: [{ path: "reached", value: "{{exec.reached}}" }] } } });
+
+// Runs the config and returns shared plus the action each node ended with
+async function run(config, shared) {
+    const { flow } = compiler.compile(config);
+    const actions = {};
+    flow.on('nodeEnd', ({ node, action }) => { actions[node.id] = action; });
+    await flow.run(shared);
+    return { shared, actions };
+}
+
+const gradeConfig = (grade) => ({
+    version: "pf-js/1.0",
+    entry: "grade",
+    nodes: [grade, target("publish"), target("revise"), target("rewrite"), target("fallback")],
+    edges: [
+        { from: "grade", to: "publish", when: "ctx.score >= 8" },
+        { from: "grade", to: "revise", label: "needs_work", when: "ctx.score >= 5" },
+        { from: "grade", to: "fallback", label: "rewrite_it" },
+        { from: "grade", to: "rewrite" }
+    ]
+});
+
+async function testFirstMatch() {
+    const grade = { id: "grade", kind: "data" };
+
+    // Both conditions hold at 9; the edge declared first wins, and an unlabelled edge's action is its target id
+    const high = await run(gradeConfig(grade), { score: 9 });
+    assert.strictEqual(high.shared.reached, 'publish');
+    assert.strictEqual(high.actions.grade, 'publish');
+
+    const middle = await run(gradeConfig(grade), { score: 6 });
+    assert.strictEqual(middle.shared.reached, 'revise');
+    assert.strictEqual(middle.actions.grade, 'needs_work');
+}
+
+async function testFallback() {
+    // No condition holds: the node's own action decides, post.next first, else the default edge
+    const withNext = await run(gradeConfig({ id: "grade", kind: "data", post: { next: "rewrite_it" } }), { score: 2 });
+    assert.strictEqual(withNext.shared.reached, 'fallback');
+    assert.strictEqual(withNext.actions.grade, 'rewrite_it');
+
+    const withoutNext = await run(gradeConfig({ id: "grade", kind: "data" }), { score: 2 });
+    assert.strictEqual(withoutNext.shared.reached, 'rewrite');
+}
+
+async function testResult() {
+    // Conditions see the source node's result as `result`
+    const config = {
+        version: "pf-js/1.0",
+        entry: "ask",
+        nodes: [{ id: "ask", kind: "llm", exec: { prompt: "yes please" } }, target("agreed"), target("refused")],
+        edges: [
+            { from: "ask", to: "agreed", when: "result.text.startsWith('yes')" },
+            { from: "ask", to: "refused" }
+        ]
+    };
+    const { shared } = await run(config, {});
+    assert.strictEqual(shared.reached, 'agreed');
+}
+
+async function testRouterOverride() {
+    // A matching `when` edge overrides the case the router picked; otherwise the case stands
+    const config = {
+        version: "pf-js/1.0",
+        entry: "route",
+        nodes: [
+            { id: "route", kind: "router", exec: { cases: [{ label: "normal", when: "true" }] } },
+            target("normal"),
+            target("urgent")
+        ],
+        edges: [
+            { from: "route", to: "normal", label: "normal" },
+            { from: "route", to: "urgent", when: "ctx.priority === 'high'" }
+        ]
+    };
+
+    const urgent = await run(config, { priority: 'high' });
+    assert.strictEqual(urgent.shared.reached, 'urgent');
+    assert.strictEqual(urgent.actions.route, 'urgent');
+
+    const normal = await run(config, { priority: 'low' });
+    assert.strictEqual(normal.shared.reached, 'normal');
+    assert.strictEqual(normal.actions.route, 'normal');
+}
+
+async function testEdgeConditions() {
+    try {
+        console.log("🧪 Testing conditional edges...\n");
+
+        await testFirstMatch();
+        console.log("✅ The first matching edge wins, in declared order");
+
+        await testFallback();
+        console.log("✅ Without a match the node's own action decides");
+
+        await testResult();
+        console.log("✅ Conditions can read the node's result");
+
+        await testRouterOverride();
+        console.log("✅ A matching edge overrides a router's case");
+
+        console.log("\n✅ All conditional edge tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testEdgeConditions();
+}
+
+module.exports = { testEdgeConditions };
@@ -0,0 +1,178 @@
+// Test script for flow lifecycle events: payloads, bubbling from nested flows and batches, listener failures and off()
+const assert = require('assert');
+const { Node, BatchNode, Flow, BatchFlow } = require('../index.js');
+
+// Subscribes to every lifecycle event and records [event, data]
+function record(flow, events = ['flowStart', 'nodeStart', 'nodeEnd', 'retry', 'fallback', 'error', 'flowEnd']) {
+    const log = [];
+    for (const event of events) flow.on(event, (data) => log.push([event, data]));
+    return log;
+}
+
+const name = (data) => data.node ? data.node.constructor.name : data.flow.constructor.name;
+
+async function testLifecycle() {
+    class Flaky extends Node {
+        exec() { if (this.curRetry < 2) throw new Error(`attempt ${this.curRetry + 1} failed`); return 'ok'; }
+        post() { return 'next'; }
+    }
+    class Rescued extends Node {
+        exec() { throw new Error('always fails'); }
+        execFallback() { return 'fallback'; }
+    }
+    const flaky = new Flaky(3);
+    flaky.sub('next').rshift(new Rescued());
+    const flow = new Flow(flaky);
+    flow.setParams({ run: 1 });
+    const log = record(flow);
+
+    await flow.run({});
+    assert.deepStrictEqual(log.map(([event, data]) => `${event}:${name(data)}`), [
+        'flowStart:Flow',
+        'nodeStart:Flaky',
+        'retry:Flaky',
+        'retry:Flaky',
+        'nodeEnd:Flaky',
+        'nodeStart:Rescued',
+        'fallback:Rescued',
+        'nodeEnd:Rescued',
+        'flowEnd:Flow'
+    ]);
+
+    const [flowStart, nodeStart, retry, , nodeEnd, , fallback, , flowEnd] = log.map(([, data]) => data);
+    assert.strictEqual(flowStart.flow.startNode, flaky);
+    assert.deepStrictEqual(flowStart.params, { run: 1 });
+    assert.strictEqual(nodeStart.node, flaky, 'events carry the wired node, not the per-run copy');
+    assert.deepStrictEqual(nodeStart.params, { run: 1 });
+    assert.strictEqual(retry.attempt, 1);
+    assert.strictEqual(retry.error.message, 'attempt 1 failed');
+    assert.strictEqual(retry.delay, 0);
+    assert.strictEqual(nodeEnd.action, 'next');
+    assert.strictEqual(typeof nodeEnd.duration, 'number');
+    assert.strictEqual(fallback.attempts, 1);
+    assert.strictEqual(fallback.error.message, 'always fails');
+    assert.strictEqual(flowEnd.action, undefined);
+    assert.strictEqual(typeof flowEnd.duration, 'number');
+
+    // A node that throws emits error, and the flow neither ends its node nor the flow
+    class Broken extends Node {
+        exec() { throw new Error('broken'); }
+    }
+    const failing = new Flow(new Broken());
+    const failures = record(failing);
+    await assert.rejects(failing.run({}), /broken/);
+    assert.deepStrictEqual(failures.map(([event]) => event), ['flowStart', 'nodeStart', 'fallback', 'error']);
+    assert.strictEqual(failures[3][1].error.message, 'broken');
+}
+
+async function testBubbling() {
+    // Events from a nested flow reach the outer flow's listeners
+    class Inner extends Node {}
+    class Broken extends Node {
+        exec() { throw new Error('inner broke'); }
+    }
+    const inner = new Inner();
+    inner.rshift(new Broken());
+    const outer = new Flow(new Flow(inner));
+    const log = record(outer);
+
+    await assert.rejects(outer.run({}), /inner broke/);
+    assert.deepStrictEqual(log.map(([event, data]) => `${event}:${name(data)}`), [
+        'flowStart:Flow',
+        'nodeStart:Flow',
+        'flowStart:Flow',
+        'nodeStart:Inner',
+        'nodeEnd:Inner',
+        'nodeStart:Broken',
+        'fallback:Broken',
+        'error:Broken'
+    ]);
+    assert.strictEqual(log[2][1].flow.startNode, inner);
+    assert.strictEqual(log.filter(([event]) => event === 'error').length, 1, 'an error is reported once, by the innermost flow');
+
+    // Every batch item's retries and every batch-flow item's nodes bubble up too
+    class Items extends BatchNode {
+        prep() { return [1, 2]; }
+        exec(item) { if (this.curRetry === 0) throw new Error(`item ${item}`); return item; }
+    }
+    const batch = new Flow(new Items(2));
+    const retries = record(batch, ['retry']);
+    await batch.run({});
+    assert.deepStrictEqual(retries.map(([, data]) => [name(data), data.prepRes]), [['Items', 1], ['Items', 2]]);
+
+    class Step extends Node {}
+    class PerItem extends BatchFlow {
+        prep() { return [{ n: 1 }, { n: 2 }]; }
+    }
+    const perItem = new Flow(new PerItem(new Step()));
+    const starts = record(perItem, ['nodeStart']);
+    await perItem.run({});
+    assert.deepStrictEqual(starts.map(([, data]) => [name(data), data.params.n]), [['PerItem', undefined], ['Step', 1], ['Step', 2]]);
+}
+
+async function testListeners() {
+    class Step extends Node {
+        post(shared) { shared.steps = (shared.steps || 0) + 1; }
+    }
+    const flow = new Flow(new Step());
+
+    // A throwing listener is logged, and the other listeners and the run carry on
+    const seen = [];
+    const warnings = [];
+    flow.on('nodeStart', () => { throw new Error('listener broke'); });
+    const listener = () => seen.push('nodeStart');
+    flow.on('nodeStart', listener);
+
+    const warn = console.warn;
+    console.warn = (...args) => warnings.push(args);
+    const shared = {};
+    try {
+        await flow.run(shared);
+    } finally {
+        console.warn = warn;
+    }
+    assert.strictEqual(shared.steps, 1);
+    assert.deepStrictEqual(seen, ['nodeStart']);
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0][0], /Listener for 'nodeStart' failed/);
+
+    // off() removes only the given listener
+    assert.strictEqual(flow.off('nodeStart', listener), flow);
+    console.warn = () => {};
+    try {
+        await flow.run(shared);
+    } finally {
+        console.warn = warn;
+    }
+    assert.strictEqual(shared.steps, 2);
+    assert.deepStrictEqual(seen, ['nodeStart']);
+    assert.strictEqual(flow.listeners.nodeStart.length, 1);
+}
+
+async function testEvents() {
+    try {
+        console.log("🧪 Testing lifecycle events...\n");
+
+        await testLifecycle();
+        console.log("✅ Flow, node, retry, fallback and error events carry their payloads");
+
+        await testBubbling();
+        console.log("✅ Events bubble up from nested flows and batch items");
+
+        await testListeners();
+        console.log("✅ Failing listeners don't stop the run, and off() unsubscribes");
+
+        console.log("\n✅ All event tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testEvents();
+}
+
+module.exports = { testEvents };
@@ -0,0 +1,136 @@
+// Test script for the sandboxed expression language used by templates and `when` conditions
+const assert = require('assert');
+const { PocketFlowCompiler, ExpressionError } = require('../compiler.js');
+
+const compiler = new PocketFlowCompiler({ helpers: { double: (n) => n * 2 } });
+const evaluate = (expr, context = {}) => compiler.evaluateExpression(expr, context);
+const context = {
+    ctx: { name: 'Ada', tags: ['a', 'b'], score: 7, profile: { city: 'Oslo' }, empty: null },
+    result: { text: 'Hello World' }
+};
+
+function testValues() {
+    assert.strictEqual(evaluate('ctx.name', context), 'Ada');
+    assert.strictEqual(evaluate("ctx['profile'].city", context), 'Oslo');
+    assert.strictEqual(evaluate('ctx.tags[1]', context), 'b');
+    assert.strictEqual(evaluate('ctx.tags.length', context), 2);
+    assert.strictEqual(evaluate('result.text.length', context), 11);
+    assert.strictEqual(evaluate('ctx.missing', context), undefined);
+    assert.strictEqual(evaluate('ctx.empty.city', context), undefined, 'reading through null gives undefined');
+    assert.deepStrictEqual(evaluate("[1, 'two', true, null]", context), [1, 'two', true, null]);
+    assert.strictEqual(evaluate("'it\\'s'", context), "it's");
+}
+
+function testPrecedence() {
+    assert.strictEqual(evaluate('1 + 2 * 3'), 7);
+    assert.strictEqual(evaluate('(1 + 2) * 3'), 9);
+    assert.strictEqual(evaluate('10 - 4 - 3'), 3, 'subtraction is left-associative');
+    assert.strictEqual(evaluate('7 % 4 * 2'), 6);
+    assert.strictEqual(evaluate('-2 * 3 + 10'), 4);
+    assert.strictEqual(evaluate('1 + 1 === 2 && 3 > 2'), true);
+    assert.strictEqual(evaluate('true || false && false'), true, '&& binds tighter than ||');
+    assert.strictEqual(evaluate('!false === true'), true);
+    assert.strictEqual(evaluate('null ?? 0 || 5'), 5, '?? binds looser than ||: null ?? (0 || 5)');
+    assert.strictEqual(evaluate('0 ?? 5'), 0);
+    assert.strictEqual(evaluate("ctx.score > 5 ? 'high' : ctx.score > 2 ? 'mid' : 'low'", context), 'high');
+    assert.strictEqual(evaluate("ctx.missing || 'default'", context), 'default');
+    assert.strictEqual(evaluate("ctx.name + ' ' + ctx.score", context), 'Ada 7');
+}
+
+function testCalls() {
+    assert.strictEqual(evaluate("result.text.toLowerCase().includes('world')", context), true);
+    assert.deepStrictEqual(evaluate("'a,b'.split(',')", context), ['a', 'b']);
+    assert.strictEqual(evaluate("ctx.tags.join('-')", context), 'a-b');
+    assert.strictEqual(evaluate('length(ctx.tags) + max(1, 4)', context), 6);
+    assert.strictEqual(evaluate('json(ctx.profile)', context), '{"city":"Oslo"}');
+    assert.strictEqual(evaluate('double(ctx.score)', context), 14, 'env.helpers are callable');
+}
+
+function testSandbox() {
+    const rejects = (expr, pattern) => assert.throws(() => evaluate(expr, context), (error) => {
+        assert.ok(error instanceof ExpressionError, `${expr} threw ${error}`);
+        assert.match(error.message, pattern);
+        assert.strictEqual(error.source, expr);
+        return true;
+    });
+
+    // Prototype chains are unreachable, however the key is spelled
+    rejects('ctx.constructor', /Property 'constructor' is not accessible/);
+    rejects('ctx.__proto__', /Property '__proto__' is not accessible/);
+    rejects("ctx['__proto__']", /Property '__proto__' is not accessible/);
+    rejects("ctx['constr' + 'uctor']", /Property 'constructor' is not accessible/);
+    rejects("''.constructor", /Property 'constructor' is not accessible/);
+    rejects('double.prototype', /Unknown name 'double'/);
+    rejects("ctx.tags.slice.constructor('return process')()", /Property 'constructor' is not accessible|Only helpers and string\/array methods can be called/);
+    assert.strictEqual(evaluate('ctx.toString', context), undefined, 'inherited properties read as undefined');
+    assert.strictEqual(evaluate('ctx.tags.map', context), undefined);
+
+    // Only whitelisted string and array methods can be called
+    rejects("ctx.tags.map('x')", /Method 'map' is not allowed on array/);
+    rejects("ctx.tags.push('c')", /Method 'push' is not allowed on array/);
+    rejects("ctx.name.replace('A', 'B')", /Method 'replace' is not allowed on string/);
+    rejects("ctx.profile.hasOwnProperty('city')", /Method 'hasOwnProperty' is not allowed on object/);
+    rejects('ctx.score.toFixed(1)', /Method 'toFixed' is not allowed on number/);
+    assert.deepStrictEqual(context.ctx.tags, ['a', 'b'], 'nothing was mutated');
+
+    // Globals and unknown helpers don't exist
+    rejects('process', /Unknown name 'process'/);
+    rejects('constructor', /Unknown name 'constructor'/);
+    rejects('hasOwnProperty', /Unknown name 'hasOwnProperty'/);
+    rejects('globalThis', /Unknown name 'globalThis'/);
+    rejects('require("fs")', /Unknown function 'require'/);
+    rejects('eval("1")', /Unknown function 'eval'/);
+    rejects("toString()", /Unknown function 'toString'/);
+
+    // Anything outside the grammar fails to parse
+    assert.throws(() => evaluate('ctx.name = 1', context), ExpressionError);
+    assert.throws(() => evaluate('x => x', context), ExpressionError);
+    assert.throws(() => evaluate('`template`', context), ExpressionError);
+    assert.throws(() => evaluate('1 +', context), ExpressionError);
+}
+
+function testConditions() {
+    // Conditions that fail to evaluate are false rather than throwing mid-flow
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.strictEqual(compiler.evaluateCondition('ctx.constructor', context), false);
+        assert.strictEqual(compiler.evaluateCondition("ctx.score >= 7 && ctx.tags.includes('a')", context), true);
+    } finally {
+        console.warn = warn;
+    }
+}
+
+async function testExpressions() {
+    try {
+        console.log("🧪 Testing expressions...\n");
+
+        testValues();
+        console.log("✅ Literals, property access and indexing");
+
+        testPrecedence();
+        console.log("✅ Operator precedence matches JavaScript");
+
+        testCalls();
+        console.log("✅ Whitelisted methods and helpers");
+
+        testSandbox();
+        console.log("✅ Prototypes, globals and other calls are blocked");
+
+        testConditions();
+        console.log("✅ Conditions evaluate safely");
+
+        console.log("\n✅ All expression tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testExpressions();
+}
+
+module.exports = { testExpressions };
@@ -0,0 +1,176 @@
+// Test script for flow graph introspection and the Mermaid and DOT exporters
+const assert = require('assert');
+const { Node, Flow, toMermaid, toDot } = require('../index.js');
+const { PocketFlowCompiler } = require('../compiler.js');
+
+class Fetch extends Node {}
+class Parse extends Node {}
+class Retry extends Node {}
+class Step extends Node {}
+class Report extends Node {}
+
+const lines = (...text) => text.join('\n');
+
+function testHandWired() {
+    // Labelled and default edges, a cycle, and an action containing quotes
+    const fetch = new Fetch(), parse = new Parse(), retry = new Retry();
+    fetch.rshift(parse);
+    fetch.sub('fail "hard"').rshift(retry);
+    retry.rshift(fetch);
+    const flow = new Flow(fetch);
+
+    assert.deepStrictEqual(flow.toGraph(), {
+        start: 'Fetch#0',
+        nodes: [
+            { id: 'Fetch#0', label: 'Fetch', type: 'Fetch' },
+            { id: 'Parse#1', label: 'Parse', type: 'Parse' },
+            { id: 'Retry#2', label: 'Retry', type: 'Retry' }
+        ],
+        edges: [
+            { from: 'Fetch#0', to: 'Parse#1', action: 'default' },
+            { from: 'Fetch#0', to: 'Retry#2', action: 'fail "hard"' },
+            { from: 'Retry#2', to: 'Fetch#0', action: 'default' }
+        ]
+    });
+
+    assert.strictEqual(flow.toMermaid(), lines(
+        'flowchart TD',
+        '    n0["Fetch"]',
+        '    n1["Parse"]',
+        '    n2["Retry"]',
+        '    start((start)) --> n0',
+        '    n0 --> n1',
+        '    n0 -->|"fail #quot;hard#quot;"| n2',
+        '    n2 --> n0'
+    ));
+
+    assert.strictEqual(flow.toDot(), lines(
+        'digraph flow {',
+        '    compound=true;',
+        '    node [shape=box];',
+        '    n0 [label="Fetch"];',
+        '    n1 [label="Parse"];',
+        '    n2 [label="Retry"];',
+        '    start [shape=point];',
+        '    start -> n0;',
+        '    n0 -> n1;',
+        '    n0 -> n2 [label="fail \\"hard\\""];',
+        '    n2 -> n0;',
+        '}'
+    ));
+
+    // The exporters also take a toGraph() result
+    assert.strictEqual(toMermaid(flow.toGraph()), flow.toMermaid());
+    assert.strictEqual(toDot(flow.toGraph()), flow.toDot());
+}
+
+function testNestedFlow() {
+    // A nested flow becomes a subgraph; DOT edges attach to its start node and clip at the cluster
+    const inner = new Flow(new Step());
+    const fetch = new Fetch();
+    fetch.rshift(inner);
+    inner.sub('done').rshift(new Report());
+    const flow = new Flow(fetch);
+
+    const graph = flow.toGraph();
+    assert.deepStrictEqual(graph.nodes[1].graph, {
+        start: 'Step#0',
+        nodes: [{ id: 'Step#0', label: 'Step', type: 'Step' }],
+        edges: []
+    });
+
+    assert.strictEqual(flow.toMermaid(), lines(
+        'flowchart TD',
+        '    n0["Fetch"]',
+        '    subgraph n1 ["Flow"]',
+        '        n1_0["Step"]',
+        '    end',
+        '    n2["Report"]',
+        '    start((start)) --> n0',
+        '    n0 --> n1',
+        '    n1 -->|"done"| n2'
+    ));
+
+    assert.strictEqual(flow.toDot(), lines(
+        'digraph flow {',
+        '    compound=true;',
+        '    node [shape=box];',
+        '    n0 [label="Fetch"];',
+        '    subgraph cluster_n1 {',
+        '        label="Flow";',
+        '        n1_0 [label="Step"];',
+        '    }',
+        '    n2 [label="Report"];',
+        '    start [shape=point];',
+        '    start -> n0;',
+        '    n0 -> n1_0 [lhead=cluster_n1];',
+        '    n1_0 -> n2 [label="done", ltail=cluster_n1];',
+        '}'
+    ));
+
+    // A flow that starts with a nested flow points its start marker inside the cluster
+    assert.match(new Flow(new Flow(new Step())).toDot(), /start -> n0_0;/);
+}
+
+function testCompiled() {
+    // Compiled flows label nodes "id (kind)", and ids with quotes are escaped
+    const compiled = new PocketFlowCompiler({}).compile({
+        version: "pf-js/1.0",
+        entry: 'say "hi"',
+        nodes: [
+            { id: 'say "hi"', kind: "data", post: { next: "end" } },
+            { id: "end", kind: "data" }
+        ],
+        edges: [{ from: 'say "hi"', to: "end", label: "end" }]
+    });
+
+    assert.deepStrictEqual(compiled.flow.toGraph().nodes[0], { id: 'say "hi"', label: 'say "hi"', type: 'Node', kind: 'data' });
+
+    assert.strictEqual(toMermaid(compiled), lines(
+        'flowchart TD',
+        '    n0["say #quot;hi#quot; (data)"]',
+        '    n1["end (data)"]',
+        '    start((start)) --> n0',
+        '    n0 -->|"end"| n1'
+    ));
+
+    assert.strictEqual(toDot(compiled), lines(
+        'digraph flow {',
+        '    compound=true;',
+        '    node [shape=box];',
+        '    n0 [label="say \\"hi\\" (data)"];',
+        '    n1 [label="end (data)"];',
+        '    start [shape=point];',
+        '    start -> n0;',
+        '    n0 -> n1 [label="end"];',
+        '}'
+    ));
+}
+
+async function testGraph() {
+    try {
+        console.log("🧪 Testing graph export...\n");
+
+        testHandWired();
+        console.log("✅ Hand-wired flows export with labelled edges and quoting");
+
+        testNestedFlow();
+        console.log("✅ Nested flows become subgraphs and clusters");
+
+        testCompiled();
+        console.log("✅ Compiled flows export with id (kind) labels");
+
+        console.log("\n✅ All graph tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testGraph();
+}
+
+module.exports = { testGraph };
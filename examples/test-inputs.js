@@ -0,0 +1,90 @@
+// Test script for prep.inputs: resolution, defaults, required and type checks on every node kind
+const assert = require('assert');
+const { PocketFlowCompiler, InputError } = require('../compiler.js');
+
+const single = (node) => ({ version: "pf-js/1.0", entry: node.id, nodes: [node], edges: [] });
+
+async function testResolution() {
+    const prompts = [];
+    const compiler = new PocketFlowCompiler({ llm: { async call({ prompt }) { prompts.push(prompt); return { text: 'ok' }; } } });
+    const { flow } = compiler.compile(single({
+        id: "reply",
+        kind: "llm",
+        prep: {
+            inputs: [
+                { path: "ticket.customer.name", required: true },
+                { path: "settings.tone", default: "friendly" },
+                { path: "ticket.history", name: "history", type: "array", default: [] }
+            ]
+        },
+        exec: { prompt: "{{inputs.name}}/{{inputs.tone}}/{{inputs.history | length}}" }
+    }));
+
+    await flow.run({ ticket: { customer: { name: 'Ada' } } });
+    await flow.run({ ticket: { customer: { name: 'Bob' }, history: ['hi'] }, settings: { tone: 'formal' } });
+    assert.deepStrictEqual(prompts, ['Ada/friendly/0', 'Bob/formal/1']);
+}
+
+async function testEveryKindChecksInputs() {
+    // Kinds whose hooks never read their inputs still fail up front on a missing required one
+    const compiler = new PocketFlowCompiler({ functions: { noop: () => null } });
+    const inputs = [{ path: "order.id", required: true }];
+    const nodes = [
+        { id: "data", kind: "data", prep: { inputs }, exec: { status: "ok" } },
+        { id: "router", kind: "router", prep: { inputs }, exec: { cases: [] } },
+        { id: "function", kind: "function", prep: { inputs }, exec: { function: "noop" } },
+        { id: "batch", kind: "batch", prep: { inputs } }
+    ];
+
+    for (const node of nodes) {
+        await assert.rejects(compiler.compile(single(node)).flow.run({}), (error) => {
+            assert.ok(error instanceof InputError, `${node.kind}: ${error}`);
+            assert.match(error.message, new RegExp(`Node '${node.id}': input 'order.id' is required but missing from shared`));
+            return true;
+        });
+    }
+}
+
+async function testTypeCheck() {
+    const compiler = new PocketFlowCompiler({});
+    const { flow } = compiler.compile(single({
+        id: "count",
+        kind: "data",
+        prep: { inputs: [{ path: "items", type: "array" }] },
+        exec: {},
+        post: { outputs: { save: [{ path: "count", value: "{{inputs.items | length}}" }] } }
+    }));
+
+    await assert.rejects(flow.run({ items: 'abc' }), /Node 'count': input 'items' must be array but is string/);
+    const shared = { items: [1, 2] };
+    await flow.run(shared);
+    assert.strictEqual(shared.count, '2');
+}
+
+async function testInputs() {
+    try {
+        console.log("🧪 Testing node inputs...\n");
+
+        await testResolution();
+        console.log("✅ Inputs resolve with names and defaults");
+
+        await testEveryKindChecksInputs();
+        console.log("✅ Every kind fails on a missing required input");
+
+        await testTypeCheck();
+        console.log("✅ Input types are checked");
+
+        console.log("\n✅ All input tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testInputs();
+}
+
+module.exports = { testInputs };
@@ -0,0 +1,229 @@
+// Test script for the function, agent and structured-output node kinds
+const assert = require('assert');
+const { PocketFlowCompiler, route } = require('../compiler.js');
+
+const flowOf = (nodes, edges = []) => ({ version: "pf-js/1.0", entry: nodes[0].id, nodes, edges });
+
+async function testFunctionKind() {
+    const compiler = new PocketFlowCompiler({
+        functions: {
+            add: ({ a, b }) => ({ sum: a + b, parts: [a, b] }),
+            count: async ({ items }) => items.length,
+            size: ({ n }) => route(n > 2 ? 'big' : 'small', n)
+        }
+    });
+    const { flow } = compiler.compile(flowOf([
+        {
+            id: "add",
+            kind: "function",
+            exec: { function: "add", args: { a: "{{ctx.x}}", b: 2 } },
+            post: {
+                outputs: {
+                    save: [
+                        { path: "total", value: "{{result}}" },
+                        { path: "sum", value: "{{result.sum}}" },
+                        { path: "label", value: "sum={{result.sum}}" }
+                    ]
+                },
+                next: "count"
+            }
+        },
+        {
+            id: "count",
+            kind: "function",
+            exec: { function: "count", args: { items: "{{ctx.total.parts}}" } },
+            post: { outputs: { save: [{ path: "count", value: "{{result}}" }] }, next: "size" }
+        },
+        { id: "size", kind: "function", exec: { function: "size", args: { n: "{{ctx.sum}}" } } },
+        { id: "big", kind: "data", exec: { size: "big" }, post: { outputs: { save: [{ path: "size", value: "{{exec.size}}" }] } } },
+        { id: "small", kind: "data", exec: { size: "small" }, post: { outputs: { save: [{ path: "size", value: "{{exec.size}}" }] } } }
+    ], [
+        { from: "add", to: "count", label: "count" },
+        { from: "count", to: "size", label: "size" },
+        { from: "size", to: "big", label: "big" },
+        { from: "size", to: "small", label: "small" }
+    ]));
+
+    const shared = { x: 3 };
+    await flow.run(shared);
+    // A lone tag keeps the returned value's type; text around a tag makes a string
+    assert.deepStrictEqual(shared.total, { sum: 5, parts: [3, 2] });
+    assert.strictEqual(shared.sum, 5);
+    assert.strictEqual(shared.label, 'sum=5');
+    assert.strictEqual(shared.count, 2);
+    assert.strictEqual(shared.size, 'big', 'route() picks the next action');
+
+    assert.throws(() => compiler.compile(flowOf([{ id: "f", kind: "function", exec: { function: "constructor" } }])),
+        /Node 'f': function 'constructor' not found in env.functions/);
+}
+
+// LLM stand-in answering from a script and keeping the prompts it saw
+const scriptedLLM = (replies) => {
+    const prompts = [];
+    return { prompts, async call({ prompt }) { prompts.push(prompt); return { text: replies.shift() }; } };
+};
+
+async function testAgentKind() {
+    const llm = scriptedLLM([
+        '```json\n{"thought": "look it up", "tool": "search", "args": {"query": "pocketflow"}}\n```',
+        'not json',
+        '```json\nnull\n```',
+        '{"tool": "search", "args": {"query": 5}}',
+        '{"tool": "words", "args": {"text": "a b c"}}',
+        '{"thought": "done", "answer": "3 words"}'
+    ]);
+    const compiler = new PocketFlowCompiler({
+        llm,
+        functions: {
+            search: async ({ query }) => `results for ${query}`,
+            split: ({ text }) => text.split(' ')
+        },
+        flows: {
+            wordCount: flowOf([{
+                id: "split",
+                kind: "function",
+                exec: { function: "split", args: { text: "{{ctx.text}}" } },
+                post: { outputs: { save: [{ path: "count", value: "{{result.length}}" }] } }
+            }])
+        }
+    });
+    const { flow } = compiler.compile(flowOf([{
+        id: "agent",
+        kind: "agent",
+        exec: {
+            prompt: "Research {{ctx.topic}}",
+            max_turns: 6,
+            tools: [
+                { name: "search", function: "search", parameters: { type: "object", properties: { query: { type: "string" } }, required: ["query"] } },
+                { name: "words", flow: "wordCount", output: "count" }
+            ]
+        },
+        post: { outputs: { save: [{ path: "answer", value: "{{result.answer}}" }] } }
+    }]));
+
+    // Tool flows run inside the agent's run, so the parent's listeners and middleware see their nodes
+    const events = [];
+    const wrapped = [];
+    flow.on('nodeStart', ({ node }) => events.push(node.id));
+    flow.use({ run: (ctx, next) => { wrapped.push(ctx.node.id); return next(); } });
+
+    const shared = { topic: "pocketflow" };
+    await flow.run(shared);
+    assert.strictEqual(shared.answer, '3 words');
+    assert.deepStrictEqual(events, ['agent', 'split']);
+    assert.deepStrictEqual(wrapped, ['agent', 'split']);
+
+    const steps = shared.trajectories.agent;
+    assert.strictEqual(steps.length, 6);
+    assert.strictEqual(steps[0].observation, 'results for pocketflow');
+    assert.match(steps[1].error, /reply is not valid JSON/);
+    assert.strictEqual(steps[2].error, 'reply is not a JSON object', 'a null reply costs a turn instead of failing the node');
+    assert.match(steps[3].observation, /^Error: invalid args: \/query must be string/);
+    assert.strictEqual(steps[4].observation, 3);
+    assert.deepStrictEqual(steps[5], { turn: 6, thought: 'done', answer: '3 words' });
+    assert.match(llm.prompts[5], /observation: results for pocketflow/);
+
+    // Running out of turns leaves done false
+    const stuck = new PocketFlowCompiler({ llm: scriptedLLM(['{"tool": "search", "args": {"query": "x"}}', '{}']), functions: { search: () => { throw new Error('down'); } } });
+    const stuckShared = {};
+    await stuck.compile(flowOf([{
+        id: "agent",
+        kind: "agent",
+        exec: { prompt: "x", max_turns: 1, trajectory: "log", tools: [{ name: "search", function: "search" }] },
+        post: { outputs: { save: [{ path: "done", value: "{{result.done}}" }] } }
+    }])).flow.run(stuckShared);
+    assert.strictEqual(stuckShared.done, 'false');
+    assert.strictEqual(stuckShared.log[0].observation, 'Error: down');
+}
+
+async function testStructuredOutput() {
+    const schema = {
+        type: "object",
+        properties: { title: { type: "string" }, score: { type: "number" } },
+        required: ["title", "score"]
+    };
+    const llm = scriptedLLM([
+        'Sure! Here it is',
+        '```json\n{"title": "Hello"}\n```',
+        'Fixed:\n```json\n{"title": "Hello", "score": 5}\n```'
+    ]);
+    const compiler = new PocketFlowCompiler({ llm });
+    const review = {
+        id: "review",
+        kind: "llm",
+        retry: { max: 3 },
+        exec: { prompt: "Review {{ctx.doc}}", output: { schema } },
+        post: {
+            outputs: {
+                save: [
+                    { path: "review", value: "{{result.data}}" },
+                    { path: "score", value: "{{result.data.score}}" },
+                    { path: "summary", value: "{{result.data.title}} ({{result.data.score}})" }
+                ]
+            }
+        }
+    };
+
+    // Each retry shows the rejected reply and its errors; shared gets the parsed values
+    const shared = { doc: "draft" };
+    await compiler.compile(flowOf([review])).flow.run(shared);
+    assert.deepStrictEqual(shared.review, { title: "Hello", score: 5 });
+    assert.strictEqual(shared.score, 5);
+    assert.strictEqual(shared.summary, 'Hello (5)');
+    assert.match(llm.prompts[0], /Review draft\n\nReply with a JSON value in a ```json block\.\nIt must match this JSON Schema:/);
+    assert.match(llm.prompts[1], /Your previous reply was rejected:\nSure! Here it is[\s\S]*could not parse json/);
+    assert.match(llm.prompts[2], /must have required property 'score'/);
+
+    // Out of retries, post gets the last reply marked invalid
+    const failing = new PocketFlowCompiler({ llm: scriptedLLM(['{"title": 1}', '{"title": 2}']) });
+    const failed = {};
+    await failing.compile(flowOf([{ ...review, retry: { max: 2 }, post: { outputs: { save: [{ path: "result", value: "{{result}}" }] } } }])).flow.run(failed);
+    assert.strictEqual(failed.result.valid, false);
+    assert.strictEqual(failed.result.data, null);
+    assert.strictEqual(failed.result.text, '{"title": 2}');
+    assert.ok(failed.result.errors.includes('/title must be string'));
+
+    // The async kind is the llm kind on an AsyncNode, structured output included
+    const asyncShared = { doc: "draft" };
+    await new PocketFlowCompiler({ llm: scriptedLLM(['{"title": "Async", "score": 1}']) })
+        .compile(flowOf([{ ...review, kind: "async" }])).flow.run(asyncShared);
+    assert.deepStrictEqual(asyncShared.review, { title: "Async", score: 1 });
+
+    // An unfenced top-level array is found as well as an object
+    const listShared = {};
+    await new PocketFlowCompiler({ llm: scriptedLLM(['Tags: ["a", "b"] (two of them)']) }).compile(flowOf([{
+        id: "tags",
+        kind: "llm",
+        exec: { prompt: "Tag it", output: { schema: { type: "array", items: { type: "string" } } } },
+        post: { outputs: { save: [{ path: "tags", value: "{{result.data}}" }] } }
+    }])).flow.run(listShared);
+    assert.deepStrictEqual(listShared.tags, ["a", "b"]);
+}
+
+async function testKinds() {
+    try {
+        console.log("🧪 Testing node kinds...\n");
+
+        await testFunctionKind();
+        console.log("✅ Function nodes call env.functions and save typed results");
+
+        await testAgentKind();
+        console.log("✅ Agent nodes loop over tool calls and record their trajectory");
+
+        await testStructuredOutput();
+        console.log("✅ Structured output is parsed, validated, repaired and saved with its types");
+
+        console.log("\n✅ All node kind tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testKinds();
+}
+
+module.exports = { testKinds };
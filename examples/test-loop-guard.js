@@ -0,0 +1,150 @@
+// Test script for per-node loop guards and the flow-wide maxSteps limit
+const assert = require('assert');
+const { Node, Flow, LoopGuardError } = require('../index.js');
+const { PocketFlowCompiler } = require('../compiler.js');
+
+// Runs fn with console.warn silenced, returning the warnings it printed
+async function quietly(fn) {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        await fn();
+    } finally {
+        console.warn = warn;
+    }
+    return warnings;
+}
+
+class Revise extends Node {
+    post(shared) {
+        shared.revisions = (shared.revisions || 0) + 1;
+        return 'again';
+    }
+}
+
+class Publish extends Node {
+    post(shared) { shared.published = true; }
+}
+
+async function testLoopExceeded() {
+    // The node runs maxIterations times, then is skipped in favour of its loop_exceeded edge
+    const revise = new Revise(1, 0, { maxIterations: 3 });
+    revise.sub('again').rshift(revise);
+    revise.sub('loop_exceeded').rshift(new Publish());
+
+    const shared = {};
+    const action = await new Flow(revise).run(shared);
+    assert.strictEqual(shared.revisions, 3);
+    assert.strictEqual(shared.published, true);
+    assert.strictEqual(action, undefined, "the flow ends with Publish's action");
+
+    // A custom loopAction picks another edge
+    const custom = new Revise(1, 0, { maxIterations: 2, loopAction: 'give_up' });
+    custom.sub('again').rshift(custom);
+    custom.sub('give_up').rshift(new Publish());
+    const customShared = {};
+    await new Flow(custom).run(customShared);
+    assert.deepStrictEqual(customShared, { revisions: 2, published: true });
+}
+
+async function testGuardWithoutEdge() {
+    // With no loop_exceeded edge, tripping the guard ends the flow with that action
+    const revise = new Revise(1, 0, { maxIterations: 2 });
+    revise.sub('again').rshift(revise);
+
+    const shared = {};
+    let action;
+    const warnings = await quietly(async () => { action = await new Flow(revise).run(shared); });
+    assert.strictEqual(shared.revisions, 2);
+    assert.strictEqual(action, 'loop_exceeded');
+    assert.ok(warnings.some(warning => /Flow ends: Revise exceeded 2 iterations/.test(warning)));
+
+    // Visits are counted per run, so the next run gets a fresh allowance
+    const again = {};
+    await quietly(() => new Flow(revise).run(again));
+    assert.strictEqual(again.revisions, 2);
+}
+
+async function testMaxSteps() {
+    // maxSteps fails the run instead of skipping a node
+    const revise = new Revise();
+    revise.sub('again').rshift(revise);
+
+    const shared = {};
+    await assert.rejects(new Flow(revise, { maxSteps: 4 }).run(shared), (error) => {
+        assert.ok(error instanceof LoopGuardError);
+        assert.strictEqual(error.message, 'Flow exceeded maxSteps (4)');
+        return true;
+    });
+    assert.strictEqual(shared.revisions, 4);
+
+    // A flow that finishes within the limit is unaffected
+    const publish = new Publish();
+    await new Flow(publish, { maxSteps: 1 }).run({});
+}
+
+async function testCompiledGuards() {
+    const compiler = new PocketFlowCompiler({
+        functions: { revise: ({ count }) => (count || 0) + 1 }
+    });
+    const config = (extra = {}) => ({
+        version: "pf-js/1.0",
+        entry: "revise",
+        nodes: [
+            {
+                id: "revise",
+                kind: "function",
+                exec: { function: "revise", args: { count: "{{ctx.revisions}}" } },
+                post: { outputs: { save: [{ path: "revisions", value: "{{result}}" }] }, next: "again" },
+                loop_guard: { max_iterations: 3, action: "give_up" }
+            },
+            { id: "publish", kind: "data", exec: { status: "published" }, post: { outputs: { save: [{ path: "status", value: "{{exec.status}}" }] } } }
+        ],
+        edges: [
+            { from: "revise", to: "revise", label: "again" },
+            { from: "revise", to: "publish", label: "give_up" }
+        ],
+        ...extra
+    });
+
+    const shared = {};
+    await compiler.compile(config()).flow.run(shared);
+    assert.deepStrictEqual(shared, { revisions: 3, status: 'published' });
+
+    // max_steps trips before the node's own guard does
+    const limited = {};
+    await assert.rejects(compiler.compile(config({ max_steps: 2 })).flow.run(limited), LoopGuardError);
+    assert.strictEqual(limited.revisions, 2);
+}
+
+async function testLoopGuards() {
+    try {
+        console.log("🧪 Testing loop guards...\n");
+
+        await testLoopExceeded();
+        console.log("✅ A node past maxIterations follows its loop action");
+
+        await testGuardWithoutEdge();
+        console.log("✅ A guard without a loop edge ends the flow");
+
+        await testMaxSteps();
+        console.log("✅ maxSteps throws a LoopGuardError");
+
+        await testCompiledGuards();
+        console.log("✅ loop_guard and max_steps work in compiled configs");
+
+        console.log("\n✅ All loop guard tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testLoopGuards();
+}
+
+module.exports = { testLoopGuards };
@@ -0,0 +1,92 @@
+// Test script for the configs MetaAgentCreator accepts from the LLM
+const assert = require('assert');
+const { PocketFlowCompiler, MetaAgentCreator, route } = require('../compiler.js');
+
+// Meta LLM stand-in that always answers with the given config
+const answering = (config) => ({ async call() { return `Here you go:\n${JSON.stringify(config, null, 2)}`; } });
+
+const sizeConfig = (nodeKind = "function") => ({
+    version: "pf-js/1.0",
+    entry: "size",
+    nodes: [
+        { id: "size", kind: nodeKind, exec: { function: "size", args: { n: "{{ctx.n}}" }, prompt: "Size {{ctx.n}}" } },
+        { id: "big", kind: "data", exec: { size: "big" }, post: { outputs: { save: [{ path: "size", value: "{{exec.size}}" }] } } },
+        { id: "small", kind: "data", exec: { size: "small" }, post: { outputs: { save: [{ path: "size", value: "{{exec.size}}" }] } } }
+    ],
+    edges: [
+        { from: "size", to: "big", label: "big" },
+        { from: "size", to: "small", label: "small" }
+    ]
+});
+
+async function testFunctionRouting() {
+    // Function nodes pick their action at runtime with route(), so any edge label from them is accepted
+    const compiler = new PocketFlowCompiler({ functions: { size: ({ n }) => route(n > 2 ? 'big' : 'small', n) } });
+    const creator = new MetaAgentCreator(answering(sizeConfig()), { compiler });
+
+    const created = await creator.createAgentFromDescription("Sort numbers by size");
+    assert.strictEqual(created.error, undefined);
+    assert.strictEqual(created.success, true);
+
+    const shared = { n: 1 };
+    await created.compiled.flow.run(shared);
+    assert.strictEqual(shared.size, 'small');
+
+    // Other kinds still only route along the actions they can return
+    const llmCreator = new MetaAgentCreator(answering(sizeConfig("llm")), { compiler });
+    const rejected = await llmCreator.createAgentFromDescription("Sort numbers by size");
+    assert.strictEqual(rejected.success, false);
+    assert.match(rejected.error, /Node 'size' cannot route to 'big' with label 'big'\. Valid actions: default, error/);
+}
+
+async function testCustomKindRouting() {
+    const lookupConfig = (label) => ({
+        version: "pf-js/1.0",
+        entry: "lookup",
+        nodes: [
+            { id: "lookup", kind: "lookup" },
+            { id: "next", kind: "data" }
+        ],
+        edges: [{ from: "lookup", to: "next", label }]
+    });
+    const lookup = () => ({ post: (shared) => shared.key in shared.table ? 'found' : 'missing' });
+
+    // Declared actions are the only labels accepted besides default, error and post.next
+    const declared = new PocketFlowCompiler({});
+    declared.registerKind('lookup', lookup, { actions: ['found', 'missing'] });
+    const found = await new MetaAgentCreator(answering(lookupConfig("found")), { compiler: declared }).createAgentFromDescription("Look it up");
+    assert.strictEqual(found.success, true);
+    const typo = await new MetaAgentCreator(answering(lookupConfig("fonud")), { compiler: declared }).createAgentFromDescription("Look it up");
+    assert.match(typo.error, /Node 'lookup' cannot route to 'next' with label 'fonud'\. Valid actions: default, error, found, missing/);
+
+    // Without declared actions, any label goes
+    const open = new PocketFlowCompiler({});
+    open.registerKind('lookup', lookup);
+    const anything = await new MetaAgentCreator(answering(lookupConfig("fonud")), { compiler: open }).createAgentFromDescription("Look it up");
+    assert.strictEqual(anything.success, true);
+}
+
+async function testMetaAgent() {
+    try {
+        console.log("🧪 Testing MetaAgentCreator...\n");
+
+        await testFunctionRouting();
+        console.log("✅ Function nodes may route along any edge label");
+
+        await testCustomKindRouting();
+        console.log("✅ Registered kinds route along their declared actions");
+
+        console.log("\n✅ All meta agent tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testMetaAgent();
+}
+
+module.exports = { testMetaAgent };
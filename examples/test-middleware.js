@@ -0,0 +1,166 @@
+// Test script for run, exec and attempt middleware
+const assert = require('assert');
+const { Node, Flow } = require('../index.js');
+const { PocketFlowCompiler } = require('../compiler.js');
+
+class Flaky extends Node {
+    prep(shared) { return shared.input; }
+    exec(prepRes) {
+        if (this.curRetry === 0) throw new Error('first attempt fails');
+        return prepRes.toUpperCase();
+    }
+    post(shared, prepRes, execRes) { shared.output = execRes; return 'done'; }
+}
+
+async function testContexts() {
+    // Each handler sees the node step; exec adds prepRes and attempt adds the attempt number
+    const seen = [];
+    const flow = new Flow(new Flaky(2), {
+        middleware: [{
+            async run(ctx, next) {
+                seen.push(['run', ctx.prepRes]);
+                const action = await next();
+                seen.push(['run done', ctx.prepRes, action]);
+                return action;
+            },
+            exec: (ctx, next) => { seen.push(['exec', ctx.prepRes, ctx.attempt]); return next(); },
+            attempt: (ctx, next) => { seen.push(['attempt', ctx.prepRes, ctx.attempt]); return next(); }
+        }, {
+            exec(ctx, next) {
+                assert.ok(ctx.node instanceof Flaky);
+                assert.strictEqual(ctx.shared, shared);
+                assert.deepStrictEqual(ctx.params, { lang: 'en' });
+                assert.strictEqual(typeof ctx.context, 'object');
+                return next();
+            }
+        }]
+    });
+    flow.setParams({ lang: 'en' });
+    const shared = { input: 'hi' };
+
+    assert.strictEqual(await flow.run(shared), 'done');
+    assert.strictEqual(shared.output, 'HI');
+    assert.deepStrictEqual(seen, [
+        ['run', undefined],
+        ['exec', 'hi', undefined],
+        ['attempt', 'hi', 0],
+        ['attempt', 'hi', 1],
+        ['run done', 'hi', 'done']
+    ]);
+}
+
+async function testReplacing() {
+    // Handlers can swap the exec result, swap the action or answer without calling next()
+    let execs = 0;
+    class Count extends Node {
+        exec() { execs++; return 'real'; }
+        post(shared, prepRes, execRes) { shared.result = execRes; return 'real'; }
+    }
+    class Target extends Node {
+        post(shared) { shared.reached = this.constructor.name; }
+    }
+    class Replaced extends Target {}
+    const count = new Count();
+    count.sub('real').rshift(new Target());
+    count.sub('replaced').rshift(new Replaced());
+
+    const shared = {};
+    await new Flow(count, {
+        middleware: [{
+            async run(ctx, next) {
+                const action = await next();
+                return action === 'real' ? 'replaced' : action;
+            },
+            exec: async (ctx, next) => `${await next()}, wrapped`
+        }]
+    }).run(shared);
+    assert.deepStrictEqual(shared, { result: 'real, wrapped', reached: 'Replaced' });
+    assert.strictEqual(execs, 1);
+
+    const cached = {};
+    await new Flow(count, { middleware: [{ exec: () => 'from cache' }] }).run(cached);
+    assert.strictEqual(cached.result, 'from cache');
+    assert.strictEqual(execs, 1, 'exec never ran');
+
+    // Skipping next() in run skips the whole node step
+    const skipped = {};
+    assert.strictEqual(await new Flow(new Count(), { middleware: [{ run: () => 'skipped' }] }).run(skipped), 'skipped');
+    assert.deepStrictEqual(skipped, {});
+    assert.strictEqual(execs, 1);
+}
+
+async function testNesting() {
+    // Outer flows' middleware wraps inner flows', each in registration order
+    const order = [];
+    const tag = (name) => ({
+        async run(ctx, next) {
+            order.push(`${name}>${ctx.node.constructor.name}`);
+            const action = await next();
+            order.push(`${name}<${ctx.node.constructor.name}`);
+            return action;
+        }
+    });
+    class Step extends Node {}
+    const inner = new Flow(new Step()).use(tag('inner'));
+    const outer = new Flow(inner, { middleware: [tag('a')] }).use(tag('b'));
+
+    await outer.run({});
+    assert.deepStrictEqual(order, ['a>Flow', 'b>Flow', 'a>Step', 'b>Step', 'inner>Step', 'inner<Step', 'b<Step', 'a<Step', 'b<Flow', 'a<Flow']);
+}
+
+async function testCompiled() {
+    // env.middleware applies to every compiled node
+    const runs = [];
+    const compiler = new PocketFlowCompiler({
+        llm: { async call({ prompt }) { return { text: prompt }; } },
+        middleware: [{
+            run: async (ctx, next) => { runs.push(ctx.node.id); return next(); },
+            exec: async (ctx, next) => ctx.node.kind === 'llm' ? { text: `${(await next()).text}!` } : next()
+        }]
+    });
+    const { flow } = compiler.compile({
+        version: "pf-js/1.0",
+        entry: "greet",
+        nodes: [
+            { id: "greet", kind: "llm", exec: { prompt: "Hi {{ctx.name}}" }, post: { outputs: { save: [{ path: "greeting", value: "{{result.text}}" }] }, next: "done" } },
+            { id: "done", kind: "data" }
+        ],
+        edges: [{ from: "greet", to: "done", label: "done" }]
+    });
+
+    const shared = { name: "Ada" };
+    await flow.run(shared);
+    assert.strictEqual(shared.greeting, 'Hi Ada!');
+    assert.deepStrictEqual(runs, ['greet', 'done']);
+}
+
+async function testMiddleware() {
+    try {
+        console.log("🧪 Testing middleware...\n");
+
+        await testContexts();
+        console.log("✅ run, exec and attempt handlers get their ctx");
+
+        await testReplacing();
+        console.log("✅ Handlers can replace results and actions or skip next()");
+
+        await testNesting();
+        console.log("✅ Outer middleware wraps inner middleware");
+
+        await testCompiled();
+        console.log("✅ env.middleware wraps compiled nodes");
+
+        console.log("\n✅ All middleware tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testMiddleware();
+}
+
+module.exports = { testMiddleware };
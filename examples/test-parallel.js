@@ -0,0 +1,135 @@
+// Test script for the concurrency limit of parallel batch nodes and flows
+const assert = require('assert');
+const { Node, AsyncNode, AsyncParallelBatchNode, AsyncParallelBatchFlow } = require('../index.js');
+const { PocketFlowCompiler } = require('../compiler.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Tracks how many calls of `fn` are running at once
+function gauge() {
+    const g = { active: 0, peak: 0, started: [] };
+    g.track = async (item, fn) => {
+        g.started.push(item);
+        g.peak = Math.max(g.peak, ++g.active);
+        try { return await fn(); } finally { g.active--; }
+    };
+    return g;
+}
+
+async function testParallelNode() {
+    // Later items finish first, but results keep the input order
+    const g = gauge();
+    class Double extends AsyncParallelBatchNode {
+        prep(shared) { return shared.items; }
+        exec(item) { return g.track(item, async () => { await sleep(30 - item * 5); return item * 2; }); }
+        post(shared, prepRes, execRes) { shared.doubled = execRes; }
+    }
+
+    const shared = { items: [1, 2, 3, 4, 5] };
+    await new Double(1, 0, { concurrency: 2 }).run(shared);
+    assert.deepStrictEqual(shared.doubled, [2, 4, 6, 8, 10]);
+    assert.strictEqual(g.peak, 2);
+
+    // Without a limit every item starts at once
+    const unbounded = gauge();
+    class All extends Double {
+        exec(item) { return unbounded.track(item, () => sleep(5)); }
+    }
+    await new All().run({ items: [1, 2, 3, 4, 5] });
+    assert.strictEqual(unbounded.peak, 5);
+}
+
+async function testFailureStopsNewItems() {
+    // Once an item fails no new items start; the batch rejects with that error
+    const g = gauge();
+    class Fragile extends AsyncParallelBatchNode {
+        prep() { return [1, 2, 3, 4, 5, 6]; }
+        exec(item) {
+            return g.track(item, async () => {
+                if (item === 2) throw new Error('item 2 failed');
+                await sleep(20);
+                return item;
+            });
+        }
+    }
+    await assert.rejects(new Fragile(1, 0, { concurrency: 2 }).run({}), /item 2 failed/);
+    await sleep(40);
+    assert.deepStrictEqual(g.started, [1, 2]);
+    assert.strictEqual(g.active, 0);
+}
+
+async function testParallelFlow() {
+    // Each param set runs the sub-flow; at most two run at once
+    const g = gauge();
+    class Fetch extends AsyncNode {
+        exec() { return g.track(this.params.page, () => sleep(10)); }
+        post(shared) { shared.pages.push(this.params.page); }
+    }
+    class AllPages extends AsyncParallelBatchFlow {
+        prep() { return [1, 2, 3, 4, 5].map(page => ({ page })); }
+    }
+
+    const shared = { pages: [] };
+    await new AllPages(new Fetch(), { concurrency: 2 }).run(shared);
+    assert.deepStrictEqual([...shared.pages].sort(), [1, 2, 3, 4, 5]);
+    assert.strictEqual(g.peak, 2);
+}
+
+async function testCompiledParallel() {
+    // exec.concurrency reaches the node; attempt middleware sees each item as it runs
+    const g = gauge();
+    const compiler = new PocketFlowCompiler({
+        middleware: [{ attempt: (ctx, next) => g.track(ctx.prepRes, async () => { await sleep(10); return next(); }) }]
+    });
+    const { flow, nodes } = compiler.compile({
+        version: "pf-js/1.0",
+        entry: "each",
+        nodes: [{
+            id: "each",
+            kind: "parallel",
+            prep: { inputs: [{ path: "items" }] },
+            exec: { concurrency: 2 },
+            post: { outputs: { save: [{ path: "done", value: "{{result}}" }] } }
+        }],
+        edges: []
+    });
+    assert.ok(nodes.get('each') instanceof Node);
+    assert.strictEqual(nodes.get('each').concurrency, 2);
+
+    const shared = { items: ['a', 'b', 'c', 'd'] };
+    await flow.run(shared);
+    assert.strictEqual(shared.done, '["a","b","c","d"]');
+    assert.deepStrictEqual(g.started, ['a', 'b', 'c', 'd']);
+    assert.strictEqual(g.peak, 2);
+}
+
+async function testParallel() {
+    try {
+        console.log("🧪 Testing parallel concurrency limits...\n");
+
+        await testParallelNode();
+        console.log("✅ AsyncParallelBatchNode caps items in flight and keeps their order");
+
+        await testFailureStopsNewItems();
+        console.log("✅ A failed item stops new items from starting");
+
+        await testParallelFlow();
+        console.log("✅ AsyncParallelBatchFlow caps sub-flows in flight");
+
+        await testCompiledParallel();
+        console.log("✅ The parallel kind's exec.concurrency caps items");
+
+        console.log("\n✅ All parallel tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testParallel();
+}
+
+module.exports = { testParallel };
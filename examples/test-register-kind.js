@@ -0,0 +1,154 @@
+// Test script for custom node kinds added with registerKind
+const assert = require('assert');
+const { Node, AsyncNode } = require('../index.js');
+const { PocketFlowCompiler } = require('../compiler.js');
+
+const flowOf = (nodes, edges = []) => ({ version: "pf-js/1.0", entry: nodes[0].id, nodes, edges });
+
+const searchSchema = {
+    required: ['exec'],
+    properties: {
+        exec: {
+            type: 'object',
+            required: ['query'],
+            properties: { query: { type: 'string' }, top_k: { type: 'integer', minimum: 1 } }
+        }
+    }
+};
+
+// Hooks factory: the compiler builds the node and supplies the default post
+const search = (nodeConfig, compiler) => ({
+    prep: (shared, run) => compiler.interpolate(nodeConfig.exec.query, compiler.templateContext(nodeConfig, shared, run.lastResult, run)),
+    exec: (query) => [`${query} #1`, `${query} #2`].slice(0, nodeConfig.exec.top_k || 2)
+});
+
+function testSchema() {
+    const compiler = new PocketFlowCompiler({});
+    const config = flowOf([{ id: "find", kind: "search", exec: { query: "cats", top_k: 0 } }]);
+
+    // Unknown until registered; afterwards the kind enum includes it
+    assert.match(compiler.validate(config)[0].message, /allowed values: llm, http, router, data, batch, async, parallel, function, agent$/);
+    compiler.registerKind('search', search, { schema: searchSchema });
+
+    // The kind's schema is checked, and its errors point into the node config
+    const errors = compiler.validate(config);
+    assert.deepStrictEqual(errors, [{ path: '/nodes/0/exec/top_k', node: 'find', message: 'must be >= 1' }]);
+    config.nodes[0].exec = {};
+    assert.deepStrictEqual(compiler.validate(config).map(error => [error.path, error.message]), [['/nodes/0/exec', "must have required property 'query'"]]);
+    config.nodes[0].exec = { query: "cats" };
+    assert.deepStrictEqual(compiler.validate(config), []);
+
+    // Other kinds are not checked against it
+    assert.deepStrictEqual(compiler.validate(flowOf([{ id: "d", kind: "data", exec: { top_k: 0 } }])), []);
+}
+
+async function testFactories() {
+    const compiler = new PocketFlowCompiler({});
+    compiler.registerKind('search', search);
+
+    // Hooks go on a Node with the config's runtime options; without a post hook, outputs and post.next work as usual
+    const { flow, nodes } = compiler.compile(flowOf([{
+        id: "find",
+        kind: "search",
+        exec: { query: "{{ctx.topic}}", top_k: 1 },
+        retry: { max: 3 },
+        timeout: 500,
+        post: { outputs: { save: [{ path: "hits", value: "{{result}}" }] }, next: "done" }
+    }]));
+    const node = nodes.get('find');
+    assert.ok(node instanceof Node && !(node instanceof AsyncNode));
+    assert.strictEqual(node.maxRetries, 3);
+    assert.strictEqual(node.timeout, 500);
+    const shared = { topic: "cats" };
+    assert.strictEqual(await flow.run(shared), 'done');
+    assert.strictEqual(shared.hits, '["cats #1"]');
+
+    // A node returned by the factory is used as is
+    class Constant extends Node {
+        constructor(value) { super(); this.value = value; }
+        post(shared) { shared.constant = this.value; return 'next'; }
+    }
+    let created;
+    compiler.registerKind('constant', (nodeConfig) => (created = new Constant(nodeConfig.exec.value)));
+    const constant = compiler.compile(flowOf([{ id: "c", kind: "constant", exec: { value: 42 } }]));
+    assert.strictEqual(constant.nodes.get('c'), created);
+    const constantShared = {};
+    assert.strictEqual(await constant.flow.run(constantShared), 'next');
+    assert.strictEqual(constantShared.constant, 42);
+
+    // async: true puts the hooks on an AsyncNode
+    compiler.registerKind('later', () => ({
+        exec: async () => 'later',
+        post: (shared, prepRes, execRes) => { shared.when = execRes; }
+    }), { async: true });
+    const later = compiler.compile(flowOf([{ id: "l", kind: "later" }]));
+    assert.ok(later.nodes.get('l') instanceof AsyncNode);
+    const laterShared = {};
+    await later.flow.run(laterShared);
+    assert.strictEqual(laterShared.when, 'later');
+}
+
+function testRegistrationErrors() {
+    const compiler = new PocketFlowCompiler({});
+    compiler.registerKind('search', search);
+    assert.throws(() => compiler.registerKind('search', search), /Node kind 'search' is already registered/);
+    assert.throws(() => compiler.registerKind('llm', search), /Node kind 'llm' is already registered/);
+    assert.throws(() => compiler.registerKind('', search), TypeError);
+    assert.throws(() => compiler.registerKind('nothing', null), /Factory for node kind 'nothing' must be a function/);
+    assert.throws(() => compiler.registerKind('branchy', search, { actions: 'found' }), /Actions for node kind 'branchy' must be an array of strings/);
+
+    // A schema Ajv can't compile is rejected and the kind is rolled back
+    assert.throws(() => compiler.registerKind('broken', search, { schema: { type: 'nonsense' } }), /Invalid schema for node kind 'broken'/);
+    assert.ok(!('broken' in compiler.registry));
+    assert.ok(!compiler.kinds.has('broken'));
+    assert.match(compiler.validate(flowOf([{ id: "b", kind: "broken" }]))[0].message, /allowed values: .*search$/);
+    compiler.registerKind('broken', search);
+}
+
+function testDescribeKinds() {
+    const compiler = new PocketFlowCompiler({});
+    compiler.registerKind('search', search, { description: 'Search the index; result is a list of hits', schema: searchSchema });
+    compiler.registerKind('ping', () => ({ exec: () => 'pong' }), { schema: { description: 'Answer pong', properties: {} } });
+    compiler.registerKind('quiet', () => ({}));
+
+    const lines = compiler.describeKinds().split('\n');
+    assert.match(lines[0], /^- llm: Call the LLM with exec\.prompt/);
+    assert.deepStrictEqual(lines.slice(-5), [
+        '- search: Search the index; result is a list of hits',
+        `  Node config schema: ${JSON.stringify(searchSchema)}`,
+        '- ping: Answer pong',
+        '  Node config schema: {"description":"Answer pong","properties":{}}',
+        '- quiet'
+    ]);
+}
+
+async function testRegisterKind() {
+    try {
+        console.log("🧪 Testing custom node kinds...\n");
+
+        testSchema();
+        console.log("✅ Registered kinds extend the kind enum and validate their own schema");
+
+        await testFactories();
+        console.log("✅ Factories return hooks or nodes, sync or async");
+
+        testRegistrationErrors();
+        console.log("✅ Bad registrations fail and leave the compiler unchanged");
+
+        testDescribeKinds();
+        console.log("✅ describeKinds lists every kind for MetaAgentCreator");
+
+        console.log("\n✅ All custom kind tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testRegisterKind();
+}
+
+module.exports = { testRegisterKind };
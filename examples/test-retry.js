@@ -0,0 +1,167 @@
+// Test script for exec timeouts, retries and fallbacks
+const assert = require('assert');
+const { Node, BatchNode, Flow, TimeoutError } = require('../index.js');
+const { PocketFlowCompiler } = require('../compiler.js');
+
+async function testTimeout() {
+    // The first attempt hangs until its signal is aborted; the retry answers straight away
+    const signals = [];
+    class Hangs extends Node {
+        exec(prepRes, signal) {
+            signals.push(signal);
+            if (this.curRetry === 0) return new Promise(() => {});
+            return 'done';
+        }
+        post(shared, prepRes, execRes) { shared.result = execRes; }
+    }
+
+    const shared = {};
+    const retries = [];
+    await new Hangs(2, 0, { timeout: 20 }).run(shared, {
+        observer: (event, data) => { if (event === 'retry') retries.push(data.error); }
+    });
+    assert.strictEqual(shared.result, 'done');
+    assert.strictEqual(retries.length, 1, 'a timeout counts as one attempt');
+    assert.ok(retries[0] instanceof TimeoutError);
+    assert.strictEqual(retries[0].timeout, 20);
+    assert.ok(signals[0].aborted, "the timed-out attempt's signal is aborted");
+    assert.ok(signals[0].reason instanceof TimeoutError);
+    assert.ok(!signals[1].aborted);
+
+    // Without retries left, the TimeoutError reaches the caller
+    class AlwaysHangs extends Node {
+        exec() { return new Promise(() => {}); }
+    }
+    await assert.rejects(new AlwaysHangs(1, 0, { timeout: 10 }).run({}), TimeoutError);
+}
+
+async function testBackoff() {
+    const node = new Node(5, 1, { backoff: 'exponential', maxWait: 5 });
+    assert.deepStrictEqual([0, 1, 2, 3, 4].map(attempt => node.retryDelay(attempt)), [1000, 2000, 4000, 5000, 5000]);
+    assert.strictEqual(new Node(3, 2).retryDelay(2), 2000, 'fixed backoff keeps the same delay');
+
+    const jittered = new Node(3, 1, { jitter: true });
+    for (let i = 0; i < 20; i++) {
+        const delay = jittered.retryDelay(0);
+        assert.ok(delay >= 500 && delay <= 1000, `jittered delay ${delay} out of range`);
+    }
+
+    // The observer sees the delay chosen before each retry
+    class Fails extends Node {
+        exec() { throw new Error('flaky'); }
+        execFallback() { return 'fallback'; }
+        post(shared, prepRes, execRes) { shared.result = execRes; }
+    }
+    const delays = [];
+    const shared = {};
+    await new Fails(4, 0.001, { backoff: 'exponential', maxWait: 0.003 }).run(shared, {
+        observer: (event, data) => { if (event === 'retry') delays.push(data.delay); }
+    });
+    assert.deepStrictEqual(delays, [1, 2, 3]);
+    assert.strictEqual(shared.result, 'fallback');
+}
+
+async function testRetryableErrors() {
+    const node = new Node(3);
+    const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+    assert.strictEqual(node.isRetryable(httpError(400)), false);
+    assert.strictEqual(node.isRetryable(httpError(404)), false);
+    assert.strictEqual(node.isRetryable(httpError(408)), true);
+    assert.strictEqual(node.isRetryable(httpError(429)), true);
+    assert.strictEqual(node.isRetryable(httpError(503)), true);
+    assert.strictEqual(node.isRetryable(new Error('network down')), true);
+    assert.strictEqual(node.isRetryable(Object.assign(new Error('final'), { retryable: false })), false);
+
+    // A 4xx goes straight to the fallback instead of using up the attempts
+    let calls = 0;
+    class BadRequest extends Node {
+        exec() { calls++; throw httpError(400); }
+        execFallback(prepRes, exc) { return exc.status; }
+        post(shared, prepRes, execRes) { shared.status = execRes; }
+    }
+    const shared = {};
+    await new BadRequest(3).run(shared);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(shared.status, 400);
+}
+
+async function testRetryOn() {
+    // retry.on in a config retries only the listed statuses, codes and names
+    const calls = { timeout: 0, denied: 0 };
+    const compiler = new PocketFlowCompiler({
+        functions: {
+            timeout: () => { calls.timeout++; throw Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' }); },
+            denied: () => { calls.denied++; throw Object.assign(new Error('denied'), { status: 503 }); }
+        }
+    });
+    const config = (fn) => ({
+        version: "pf-js/1.0",
+        entry: "call",
+        nodes: [{ id: "call", kind: "function", exec: { function: fn }, retry: { max: 3, on: ["ETIMEDOUT"] } }],
+        edges: []
+    });
+
+    await assert.rejects(compiler.compile(config('timeout')).flow.run({}), /timed out/);
+    assert.strictEqual(calls.timeout, 3);
+
+    // 503 would be retried by default, but isn't listed
+    await assert.rejects(compiler.compile(config('denied')).flow.run({}), /denied/);
+    assert.strictEqual(calls.denied, 1);
+}
+
+async function testErrorRouting() {
+    // A batch item fails all three attempts on its own copy; the error edge sees the real count
+    class Items extends BatchNode {
+        prep() { return [1, 2]; }
+        exec(item) { if (item === 2) throw Object.assign(new Error('item 2 failed'), { code: 'EBAD' }); return item; }
+    }
+    class Handler extends Node {
+        post(shared) { shared.handled = true; }
+    }
+    const items = new Items(3);
+    items.next(new Handler(), 'error');
+    const shared = {};
+    await new Flow(items, { routeErrors: true }).run(shared);
+
+    assert.ok(shared.handled);
+    assert.strictEqual(shared._error.attempts, 3);
+    assert.strictEqual(shared._error.node, 'Items');
+    assert.strictEqual(shared._error.code, 'EBAD');
+    const copy = JSON.parse(JSON.stringify(shared._error));
+    assert.strictEqual(copy.message, 'item 2 failed', 'the record survives JSON');
+    assert.deepStrictEqual(copy, shared._error);
+}
+
+async function testRetry() {
+    try {
+        console.log("🧪 Testing retries...\n");
+
+        await testTimeout();
+        console.log("✅ Hung exec attempts time out and are retried");
+
+        await testBackoff();
+        console.log("✅ Exponential backoff respects max_wait and jitter");
+
+        await testRetryableErrors();
+        console.log("✅ Client errors skip retries");
+
+        await testRetryOn();
+        console.log("✅ retry.on limits which errors are retried");
+
+        await testErrorRouting();
+        console.log("✅ Routed errors record attempts and plain error data");
+
+        console.log("\n✅ All retry tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testRetry();
+}
+
+module.exports = { testRetry };
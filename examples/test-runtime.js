@@ -0,0 +1,126 @@
+// Test script for the shared sync/async runtime: any flow runs any node, and flows nest freely
+const assert = require('assert');
+const { Node, AsyncNode, Flow, AsyncFlow, BatchFlow, AsyncBatchFlow } = require('../index.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testFlowRunsAsyncNode() {
+    // A plain Flow awaits the *Async hooks of an AsyncNode, followed by a sync node
+    class Fetch extends AsyncNode {
+        async prepAsync(shared) { return shared.url; }
+        async execAsync(url) { await sleep(5); return `page at ${url}`; }
+        async postAsync(shared, prepRes, execRes) { shared.page = execRes; return 'parse'; }
+    }
+    class Parse extends Node {
+        post(shared) { shared.words = shared.page.split(' ').length; }
+    }
+    const fetch = new Fetch();
+    fetch.sub('parse').rshift(new Parse());
+
+    const shared = { url: 'example.com' };
+    await new Flow(fetch).run(shared);
+    assert.deepStrictEqual(shared, { url: 'example.com', page: 'page at example.com', words: 3 });
+}
+
+async function testAsyncNodeWithPlainHooks() {
+    // An AsyncNode may implement prep/exec/post instead, sync or async, fallback included
+    class Plain extends AsyncNode {
+        prep(shared) { return shared.n; }
+        async exec(n) { if (this.curRetry === 0) throw new Error('flaky'); await sleep(1); return n * 2; }
+        post(shared, prepRes, execRes) { shared.doubled = execRes; return 'done'; }
+    }
+    const shared = { n: 21 };
+    assert.strictEqual(await new Flow(new Plain(2)).run(shared), 'done');
+    assert.strictEqual(shared.doubled, 42);
+
+    class Fallback extends AsyncNode {
+        exec() { throw new Error('down'); }
+        execFallback(prepRes, error) { return `fallback: ${error.message}`; }
+        post(shared, prepRes, execRes) { shared.result = execRes; }
+    }
+    const fallback = {};
+    await new Fallback().run(fallback);
+    assert.strictEqual(fallback.result, 'fallback: down');
+}
+
+async function testNesting() {
+    class Collect extends AsyncNode {
+        async execAsync() { await sleep(1); return this.params.page; }
+        post(shared, prepRes, execRes) { shared.pages.push(execRes); }
+    }
+    class Pages extends AsyncBatchFlow {
+        prep() { return [{ page: 1 }, { page: 2 }]; }
+    }
+    class Done extends Node {
+        post(shared) { shared.done = true; }
+    }
+
+    // A plain Flow runs an AsyncBatchFlow as a node, then continues
+    const pages = new Pages(new Collect());
+    pages.rshift(new Done());
+    const shared = { pages: [] };
+    await new Flow(pages).run(shared);
+    assert.deepStrictEqual(shared, { pages: [1, 2], done: true });
+
+    // An AsyncBatchFlow runs a plain Flow per param set, and batch params reach its nodes
+    class Mark extends Node {
+        post(shared) { shared.marks.push(`${this.params.page}:${this.params.lang}`); }
+    }
+    const inner = new Flow(new Mark());
+    const outer = new Pages(inner);
+    outer.setParams({ lang: 'en' });
+    const marked = { marks: [] };
+    await outer.run(marked);
+    assert.deepStrictEqual(marked.marks, ['1:en', '2:en']);
+
+    // And a BatchFlow runs an AsyncFlow the same way
+    class Sync extends BatchFlow {
+        prep() { return [{ page: 3 }]; }
+    }
+    const syncShared = { pages: [] };
+    await new Sync(new AsyncFlow(new Collect())).run(syncShared);
+    assert.deepStrictEqual(syncShared.pages, [3]);
+}
+
+async function testRunAsync() {
+    // run() and runAsync() are interchangeable on every class
+    class Step extends Node {
+        post(shared) { shared.steps = (shared.steps || 0) + 1; return 'ok'; }
+    }
+    const shared = {};
+    assert.strictEqual(await new Flow(new Step()).runAsync(shared), 'ok');
+    assert.strictEqual(await new AsyncFlow(new Step()).run(shared), 'ok');
+    assert.strictEqual(await new Step().runAsync(shared), 'ok');
+    assert.strictEqual(shared.steps, 3);
+}
+
+async function testRuntime() {
+    try {
+        console.log("🧪 Testing the shared runtime...\n");
+
+        await testFlowRunsAsyncNode();
+        console.log("✅ A plain Flow runs AsyncNodes");
+
+        await testAsyncNodeWithPlainHooks();
+        console.log("✅ AsyncNodes may implement prep/exec/post");
+
+        await testNesting();
+        console.log("✅ Flows and batch flows nest across sync and async");
+
+        await testRunAsync();
+        console.log("✅ run() and runAsync() are interchangeable");
+
+        console.log("\n✅ All runtime tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testRuntime();
+}
+
+module.exports = { testRuntime };
@@ -0,0 +1,145 @@
+// Test script for settle mode: per-item batch results and the maxFailures threshold
+const assert = require('assert');
+const { Node, BatchNode, AsyncBatchNode, AsyncParallelBatchNode, BatchFlow, AsyncBatchFlow, AsyncParallelBatchFlow, BatchError } = require('../index.js');
+const { PocketFlowCompiler } = require('../compiler.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A batch node of the given class whose odd items fail; post keeps the results
+const oddsFail = (Base) => class extends Base {
+    prep(shared) { return shared.items; }
+    async exec(item) {
+        await sleep(item === 1 ? 10 : 0);
+        if (item % 2) throw new Error(`item ${item} failed`);
+        return item * 10;
+    }
+    post(shared, prepRes, execRes) { shared.results = execRes; }
+};
+
+async function testSettledNodes() {
+    for (const Base of [BatchNode, AsyncBatchNode, AsyncParallelBatchNode]) {
+        // Every item is reported in input order, failures as { ok: false, error, item }
+        const shared = { items: [1, 2, 3, 4] };
+        await new (oddsFail(Base))(2, 0, { settle: true }).run(shared);
+        const results = shared.results;
+        assert.deepStrictEqual(results.map(r => r.ok), [false, true, false, true], Base.name);
+        assert.deepStrictEqual(results.filter(r => r.ok).map(r => r.value), [20, 40]);
+        assert.deepStrictEqual(results.filter(r => !r.ok).map(r => r.item), [1, 3]);
+        assert.strictEqual(results[0].error.message, 'item 1 failed');
+        assert.deepStrictEqual(Object.keys(results[1]), ['ok', 'value']);
+        assert.deepStrictEqual(Object.keys(results[0]), ['ok', 'error', 'item']);
+
+        // Without settle the first failure fails the batch
+        await assert.rejects(new (oddsFail(Base))().run({ items: [2, 3] }), /item 3 failed/);
+    }
+}
+
+async function testMaxFailures() {
+    for (const Base of [BatchNode, AsyncBatchNode, AsyncParallelBatchNode]) {
+        // Up to maxFailures failures are settled; one more throws a BatchError
+        const shared = { items: [1, 2, 3, 4] };
+        await new (oddsFail(Base))(1, 0, { settle: true, maxFailures: 2 }).run(shared);
+        assert.strictEqual(shared.results.length, 4);
+
+        await assert.rejects(new (oddsFail(Base))(1, 0, { settle: true, maxFailures: 1 }).run({ items: [1, 2, 3, 4] }), (error) => {
+            assert.ok(error instanceof BatchError, Base.name);
+            assert.strictEqual(error.message, 'Batch aborted after 2 failed items');
+            assert.strictEqual(error.failures, 2);
+            assert.ok(error.cause.message.endsWith('failed'));
+            return true;
+        });
+    }
+
+    // maxFailures: 0 stops at the first failure, which is the cause
+    await assert.rejects(new (oddsFail(AsyncBatchNode))(1, 0, { settle: true, maxFailures: 0 }).run({ items: [2, 3, 5] }), (error) => {
+        assert.strictEqual(error.cause.message, 'item 3 failed');
+        return true;
+    });
+}
+
+async function testSettledFlows() {
+    class Charge extends Node {
+        exec() {
+            if (this.params.card === 'declined') throw new Error('card declined');
+            return this.params.card;
+        }
+        post(shared, prepRes, execRes) { shared.charged.push(execRes); return 'charged'; }
+    }
+    const batch = (Base) => class extends Base {
+        prep() { return [{ card: 'visa' }, { card: 'declined' }, { card: 'amex' }]; }
+        post(shared, prepRes, execRes) { shared.results = execRes; }
+    };
+
+    for (const Base of [BatchFlow, AsyncBatchFlow, AsyncParallelBatchFlow]) {
+        // post gets one result per param set: the sub-flow's last action, or the error and its params
+        const shared = { charged: [] };
+        await new (batch(Base))(new Charge(), { settle: true }).run(shared);
+        assert.deepStrictEqual(shared.results.map(r => r.ok ? r.value : r.item), ['charged', { card: 'declined' }, 'charged'], Base.name);
+        assert.strictEqual(shared.results[1].error.message, 'card declined');
+        assert.deepStrictEqual([...shared.charged].sort(), ['amex', 'visa']);
+
+        await assert.rejects(new (batch(Base))(new Charge(), { settle: true, maxFailures: 0 }).run({ charged: [] }), BatchError);
+        await assert.rejects(new (batch(Base))(new Charge()).run({ charged: [] }), /card declined/);
+    }
+}
+
+async function testCompiledSettle() {
+    // Items fail in attempt middleware, since the batch kinds pass items through unchanged
+    const compiler = new PocketFlowCompiler({
+        middleware: [{ attempt: (ctx, next) => ctx.prepRes === 'bad' ? Promise.reject(new Error('bad item')) : next() }]
+    });
+    const config = (exec) => ({
+        version: "pf-js/1.0",
+        entry: "each",
+        nodes: [{
+            id: "each",
+            kind: "parallel",
+            prep: { inputs: [{ path: "items" }] },
+            exec,
+            post: { outputs: { save: [{ path: "results", value: "{{result}}" }] } }
+        }],
+        edges: []
+    });
+
+    const { flow, nodes } = compiler.compile(config({ settle: true, max_failures: 1 }));
+    assert.strictEqual(nodes.get('each').settle, true);
+    assert.strictEqual(nodes.get('each').maxFailures, 1);
+    const shared = { items: ['a', 'bad', 'c'] };
+    await flow.run(shared);
+    assert.deepStrictEqual(JSON.parse(shared.results).map(r => r.ok ? r.value : r.item), ['a', 'bad', 'c']);
+    assert.deepStrictEqual(JSON.parse(shared.results).map(r => r.ok), [true, false, true]);
+
+    await assert.rejects(compiler.compile(config({ settle: true, max_failures: 1 })).flow.run({ items: ['bad', 'bad'] }), BatchError);
+    await assert.rejects(compiler.compile(config({})).flow.run({ items: ['a', 'bad'] }), /bad item/);
+}
+
+async function testSettle() {
+    try {
+        console.log("🧪 Testing settled batches...\n");
+
+        await testSettledNodes();
+        console.log("✅ Batch nodes report every item in order");
+
+        await testMaxFailures();
+        console.log("✅ Going past maxFailures throws a BatchError");
+
+        await testSettledFlows();
+        console.log("✅ Batch flows pass per-item results to post");
+
+        await testCompiledSettle();
+        console.log("✅ exec.settle and exec.max_failures work in compiled configs");
+
+        console.log("\n✅ All settle tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testSettle();
+}
+
+module.exports = { testSettle };
@@ -0,0 +1,152 @@
+// Test script for flow.stream(): event order, errors, early exit and streamed LLM tokens
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Node, Flow } = require('../index.js');
+const { PocketFlowCompiler, Cassette } = require('../compiler.js');
+
+const config = {
+    version: "pf-js/1.0",
+    entry: "greet",
+    nodes: [
+        {
+            id: "greet",
+            kind: "llm",
+            exec: { prompt: "Greet {{ctx.name}}" },
+            post: { outputs: { save: [{ path: "greeting", value: "{{result.text}}" }] }, next: "done" }
+        },
+        { id: "done", kind: "data", exec: { status: "ok" }, post: { outputs: { save: [{ path: "status", value: "{{exec.status}}" }] } } }
+    ],
+    edges: [{ from: "greet", to: "done", label: "done" }]
+};
+
+async function collect(stream) {
+    const events = [];
+    for await (const event of stream) events.push(event);
+    return events;
+}
+
+async function testEventOrder() {
+    // env.llm.stream chunks become token events and are joined into the node result
+    const compiler = new PocketFlowCompiler({
+        llm: { async *stream({ prompt }) { yield 'Hello, '; yield { text: prompt.slice(6) }; yield ''; } }
+    });
+    const shared = { name: "Ada" };
+    const events = await collect(compiler.compile(config).flow.stream(shared));
+
+    assert.deepStrictEqual(events.map(e => [e.type, e.node, e.text ?? e.action]), [
+        ['nodeStart', 'greet', undefined],
+        ['token', 'greet', 'Hello, '],
+        ['token', 'greet', 'Ada'],
+        ['nodeEnd', 'greet', 'done'],
+        ['nodeStart', 'done', undefined],
+        ['nodeEnd', 'done', null],
+        ['result', undefined, null]
+    ]);
+    assert.deepStrictEqual(events[3].changed, ['greeting']);
+    assert.deepStrictEqual(events[5].changed, ['status']);
+    assert.strictEqual(typeof events[3].duration, 'number');
+    assert.strictEqual(events[6].shared, shared);
+    assert.deepStrictEqual(shared, { name: 'Ada', greeting: 'Hello, Ada', status: 'ok' });
+    assert.doesNotThrow(() => JSON.stringify(events), 'events are JSON-friendly');
+}
+
+async function testErrors() {
+    // The iterator yields what happened before the failure, then throws the flow's error
+    class Fails extends Node {
+        exec() { throw new Error('exec failed'); }
+    }
+    const seen = [];
+    await assert.rejects(async () => {
+        for await (const event of new Flow(new Fails()).stream({})) seen.push(event.type);
+    }, /exec failed/);
+    assert.deepStrictEqual(seen, ['nodeStart']);
+}
+
+async function testEarlyExit() {
+    // Breaking out of the loop aborts the signal the running node was given
+    let execSignal, nextRan = false;
+    class Waits extends Node {
+        exec(prepRes, signal) {
+            execSignal = signal;
+            return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+        }
+    }
+    class Next extends Node {
+        post() { nextRan = true; }
+    }
+    const waits = new Waits();
+    waits.rshift(new Next());
+
+    for await (const event of new Flow(waits).stream({})) {
+        assert.strictEqual(event.type, 'nodeStart');
+        break;
+    }
+    assert.ok(execSignal.aborted);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.strictEqual(nextRan, false);
+
+    // An outer signal aborts the stream too
+    const controller = new AbortController();
+    const stream = new Flow(new Waits()).stream({}, { signal: controller.signal });
+    await assert.rejects(async () => {
+        for await (const event of stream) controller.abort(new Error('gone'));
+    }, /gone/);
+}
+
+async function testReplayedTokens() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pf-stream-'));
+    try {
+        // Record with a streaming client, then replay: the recorded text arrives as one token
+        const file = path.join(dir, 'greet.json');
+        const recorder = new PocketFlowCompiler({
+            llm: { async *stream() { yield 'Hi '; yield 'Ada'; } },
+            cassette: { path: file, mode: 'record' }
+        });
+        const recorded = await collect(recorder.compile(config).flow.stream({ name: "Ada" }));
+        assert.deepStrictEqual(recorded.filter(e => e.type === 'token').map(e => e.text), ['Hi ', 'Ada']);
+
+        const replayer = new PocketFlowCompiler({
+            llm: { stream() { throw new Error('replay must not call the LLM'); } },
+            cassette: new Cassette(file, 'replay')
+        });
+        const shared = { name: "Ada" };
+        const replayed = await collect(replayer.compile(config).flow.stream(shared));
+        assert.deepStrictEqual(replayed.filter(e => e.type === 'token').map(e => [e.node, e.text]), [['greet', 'Hi Ada']]);
+        assert.strictEqual(shared.greeting, 'Hi Ada');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function testStream() {
+    try {
+        console.log("🧪 Testing streaming runs...\n");
+
+        await testEventOrder();
+        console.log("✅ Node, token and result events arrive in order");
+
+        await testErrors();
+        console.log("✅ A failing flow makes the iterator throw");
+
+        await testEarlyExit();
+        console.log("✅ Leaving the loop aborts the run");
+
+        await testReplayedTokens();
+        console.log("✅ Cassette replay streams the recorded text");
+
+        console.log("\n✅ All streaming tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testStream();
+}
+
+module.exports = { testStream };
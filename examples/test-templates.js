@@ -0,0 +1,110 @@
+// Test script for template interpolation: filters, blocks, escaping and template errors
+const assert = require('assert');
+const { PocketFlowCompiler, TemplateError } = require('../compiler.js');
+
+const compiler = new PocketFlowCompiler({
+    filters: {
+        bullet: (value) => `- ${value}`,
+        boom: () => { throw new Error('kaboom'); }
+    }
+});
+const render = (template, ctx = {}, extra = {}) => compiler.interpolate(template, { ctx, ...extra });
+
+function testTags() {
+    assert.strictEqual(render('Hello {{ctx.name}}!', { name: 'Ada' }), 'Hello Ada!');
+    assert.strictEqual(render('{{ ctx.missing }}|{{ctx.none}}', { none: null }), '|', 'missing values render empty');
+    assert.strictEqual(render('{{ctx.user}}', { user: { id: 1 } }), '{"id":1}', 'objects render as JSON');
+    assert.strictEqual(render('{{result.score * 2}}', {}, { result: { score: 4 } }), '8');
+    assert.strictEqual(render('no tags'), 'no tags');
+}
+
+function testFilters() {
+    assert.strictEqual(render("{{ctx.name | default('there') | upper}}", {}), 'THERE');
+    assert.strictEqual(render("{{ctx.name | default('there')}}", { name: '' }), 'there');
+    assert.strictEqual(render("{{ctx.name | default('there')}}", { name: 0 }), '0', 'only undefined, null and empty strings are replaced');
+    assert.strictEqual(render('{{ctx.name | lower}}|{{ctx.pad | trim}}', { name: 'ADA', pad: '  x  ' }), 'ada|x');
+    assert.strictEqual(render('{{ctx.text | truncate(8)}}', { text: 'abcdefghijkl' }), 'abcde...');
+    assert.strictEqual(render("{{ctx.text | truncate(5, '~')}}", { text: 'abcdefghijkl' }), 'abcd~');
+    assert.strictEqual(render('{{ctx.text | truncate(20)}}', { text: 'short' }), 'short');
+    assert.strictEqual(render("{{ctx.tags | join(' / ')}}|{{ctx.tags | join}}", { tags: ['a', 'b'] }), 'a / b|a, b');
+    assert.strictEqual(render('{{ctx.user | json(2)}}', { user: { id: 1 } }), '{\n  "id": 1\n}');
+    assert.strictEqual(render('{{ctx.tags | length}}-{{ctx.user | length}}', { tags: [1, 2, 3], user: { a: 1 } }), '3-1');
+    assert.strictEqual(render('{{ctx.name | bullet}}', { name: 'Ada' }), '- Ada', 'env.filters are applied');
+    assert.strictEqual(render('{{ctx.a || ctx.b | upper}}', { b: 'x' }), 'X', 'filters apply to the whole expression');
+}
+
+function testBlocks() {
+    const ifTemplate = '{{#if ctx.user}}Hi {{ctx.user}}{{else}}Hi stranger{{/if}}';
+    assert.strictEqual(render(ifTemplate, { user: 'Ada' }), 'Hi Ada');
+    assert.strictEqual(render(ifTemplate, {}), 'Hi stranger');
+    assert.strictEqual(render('{{#if ctx.items}}some{{else}}none{{/if}}', { items: [] }), 'none', 'empty arrays are false');
+    assert.strictEqual(render('{{#if ctx.n > 1}}many{{/if}}', { n: 1 }), '');
+
+    const eachTemplate = '{{#each ctx.items}}{{@index}}:{{this.name}}{{#if @first}}(first){{/if}}{{#if @last}}(last){{else}}, {{/if}}{{else}}empty{{/each}}';
+    assert.strictEqual(render(eachTemplate, { items: [{ name: 'a' }, { name: 'b' }, { name: 'c' }] }), '0:a(first), 1:b, 2:c(last)');
+    assert.strictEqual(render(eachTemplate, { items: [] }), 'empty');
+    assert.strictEqual(render(eachTemplate, {}), 'empty', 'a missing array renders the else branch');
+
+    // Nested blocks see the outer scope
+    const nested = '{{#each ctx.groups}}{{this.name}}[{{#each this.members}}{{this}}{{ctx.sep}}{{/each}}]{{/each}}';
+    assert.strictEqual(render(nested, { sep: ';', groups: [{ name: 'x', members: [1, 2] }, { name: 'y', members: [] }] }), 'x[1;2;]y[]');
+}
+
+function testEscaping() {
+    assert.strictEqual(render('\\{{ctx.name}} is {{ctx.name}}', { name: 'Ada' }), '{{ctx.name}} is Ada');
+    assert.strictEqual(render('Use \\{{ and }} literally'), 'Use {{ and }} literally');
+}
+
+function testErrors() {
+    const fails = (template, pattern, ctx = {}) => assert.throws(() => render(template, ctx), (error) => {
+        assert.ok(error instanceof TemplateError, `${template} threw ${error}`);
+        assert.match(error.message, pattern);
+        assert.strictEqual(error.template, template);
+        return true;
+    });
+
+    fails('Hi {{name}}', /Unknown name 'name'/);
+    fails('{{ctx.name | shout}}', /Unknown filter 'shout' \(in {{ctx.name \| shout}}\)/);
+    fails('{{shout(ctx.name)}}', /Unknown function 'shout'/);
+    fails('{{ctx.constructor}}', /Property 'constructor' is not accessible/);
+    fails('{{ctx.name +}}', /in {{ctx.name \+}}/);
+    fails('{{#if ctx.a}}open', /Missing {{\/if}}/);
+    fails('{{#if ctx.a}}x{{/each}}', /Unexpected {{\/each}}/);
+    fails('text{{else}}', /{{else}} outside an {{#if}} or {{#each}} block/);
+    fails('{{#each ctx.name}}x{{/each}}', /{{#each}} expects an array but got string/, { name: 'Ada' });
+    fails('{{ctx.n | boom}}', /Filter 'boom' failed: kaboom \(in {{ctx.n \| boom}}\)/, { n: 'x' });
+}
+
+async function testTemplates() {
+    try {
+        console.log("🧪 Testing templates...\n");
+
+        testTags();
+        console.log("✅ Tags interpolate values");
+
+        testFilters();
+        console.log("✅ Built-in and custom filters");
+
+        testBlocks();
+        console.log("✅ {{#if}}, {{#each}} and {{else}} blocks");
+
+        testEscaping();
+        console.log("✅ \\{{ renders a literal {{");
+
+        testErrors();
+        console.log("✅ Malformed templates and unknown names raise TemplateError");
+
+        console.log("\n✅ All template tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testTemplates();
+}
+
+module.exports = { testTemplates };
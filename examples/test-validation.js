@@ -0,0 +1,116 @@
+// Test script for config validation in compile() and compiler.validate()
+const assert = require('assert');
+const { PocketFlowCompiler, ConfigValidationError } = require('../compiler.js');
+
+const validConfig = () => ({
+    version: "pf-js/1.0",
+    entry: "fetch",
+    nodes: [
+        { id: "fetch", kind: "http", exec: { url: "https://example.com" } },
+        { id: "summarize", kind: "llm", exec: { prompt: "Summarize {{ctx.page}}" } }
+    ],
+    edges: [{ from: "fetch", to: "summarize" }]
+});
+
+function testValidConfig() {
+    const compiler = new PocketFlowCompiler({});
+    assert.deepStrictEqual(compiler.validate(validConfig()), []);
+}
+
+function testSchemaErrors() {
+    // Every schema problem is reported at once, with a JSON pointer and the node it belongs to
+    const config = validConfig();
+    config.nodes[0].kind = "fetcher";
+    config.nodes[1].retry = { max: -1 };
+    delete config.version;
+
+    const errors = new PocketFlowCompiler({}).validate(config);
+    assert.deepStrictEqual(errors.map(error => [error.path, error.node]), [
+        ['', undefined],
+        ['/nodes/0/kind', 'fetch'],
+        ['/nodes/1/retry/max', 'summarize']
+    ]);
+    assert.match(errors[0].message, /must have required property 'version'/);
+    assert.match(errors[1].message, /allowed values: llm, http, router/);
+    assert.match(errors[2].message, /must be >= 0/);
+}
+
+function testReferenceErrors() {
+    const config = validConfig();
+    config.entry = "start";
+    config.nodes.push({ id: "fetch", kind: "data" });
+    config.edges.push({ from: "summarize", to: "sumarize" });
+    config.edges.push({ from: "fetch", to: "summarize", label: "ok", when: "result.status ==" });
+
+    const errors = new PocketFlowCompiler({}).validate(config);
+    assert.deepStrictEqual(errors.map(error => error.path), [
+        '/nodes/2/id',
+        '/entry',
+        '/edges/1/to',
+        '/edges/2/when'
+    ]);
+    assert.strictEqual(errors[0].node, 'fetch');
+    assert.match(errors[0].message, /duplicate node id/);
+    assert.match(errors[1].message, /entry node 'start' not found/);
+    assert.match(errors[2].message, /node 'sumarize' not found/);
+}
+
+function testCompileThrows() {
+    const config = validConfig();
+    config.nodes[0].kind = "fetcher";
+    config.edges[0].to = "sumarize";
+
+    // Reference checks wait for the structure to be valid, so only the schema error is reported first
+    assert.throws(() => new PocketFlowCompiler({}).compile(config), (error) => {
+        assert.ok(error instanceof ConfigValidationError);
+        assert.strictEqual(error.errors.length, 1);
+        assert.match(error.message, /^Invalid config \(1 error\):\n {2}\/nodes\/0\/kind \(node 'fetch'\): must be equal/);
+        return true;
+    });
+
+    config.nodes[0].kind = "http";
+    assert.throws(() => new PocketFlowCompiler({}).compile(config), /\/edges\/0\/to: node 'sumarize' not found/);
+}
+
+function testOptOut() {
+    // A negative retry count fails validation but compiles fine once validation is off
+    const config = validConfig();
+    config.nodes[1].retry = { max: -1 };
+    assert.throws(() => new PocketFlowCompiler({}).compile(config), ConfigValidationError);
+    assert.ok(new PocketFlowCompiler({}).compile(config, { validate: false }).flow);
+    assert.ok(new PocketFlowCompiler({ validate: false }).compile(config).flow);
+}
+
+async function testValidation() {
+    try {
+        console.log("🧪 Testing config validation...\n");
+
+        testValidConfig();
+        console.log("✅ A valid config has no errors");
+
+        testSchemaErrors();
+        console.log("✅ Schema errors are collected with paths and node ids");
+
+        testReferenceErrors();
+        console.log("✅ Broken references and conditions are reported");
+
+        testCompileThrows();
+        console.log("✅ compile() throws a ConfigValidationError");
+
+        testOptOut();
+        console.log("✅ Validation can be turned off");
+
+        console.log("\n✅ All validation tests passed!");
+    } catch (error) {
+        console.error("❌ Test failed:", error.message);
+        console.error(error.stack);
+        process.exitCode = 1;
+    }
+}
+
+// Run the test
+if (require.main === module) {
+    testValidation();
+}
+
+module.exports = { testValidation };
@@ -6,14 +6,31 @@ class BaseNode {
         if (action in this.successors) console.warn(`Overwriting successor for action '${action}'`);
         this.successors[action] = node; return node; 
     }
-    prep(shared) {}
-    exec(prepRes) {}
-    post(shared, prepRes, execRes) {}
+    prep(shared, context) {}
+    exec(prepRes, signal) {}
+    post(shared, prepRes, execRes, context) {}
+    _emit(event, data) { if (this._observer) this._observer(event, data); }
     _exec(prepRes) { return this.exec(prepRes); }
-    async _run(shared) { const p = this.prep(shared); return this.post(shared, p, await this._exec(p)); }
-    async run(shared) { 
+    // Every hook is awaited, so sync and async nodes (and flows) share one runtime and nest freely
+    async _run(shared) { const c = this._context, p = await this.prep(shared, c); return await this.post(shared, p, await this._execStep(p), c); }
+    // Passes ctx through the `hook` handlers of the middleware registered on enclosing flows (outermost first) around fn
+    _intercept(hook, ctx, fn) {
+        const chain = (this._middleware || []).filter(m => typeof m[hook] === "function");
+        if (!chain.length) return fn();
+        const call = async i => i < chain.length ? await chain[i][hook](ctx, () => call(i + 1)) : await fn();
+        return call(0);
+    }
+    _execStep(prepRes) { if (this._step) this._step.prepRes = prepRes; return this._intercept("exec", { ...this._step, prepRes }, () => this._exec(prepRes)); }
+    async run(shared, options = {}) { 
         if (Object.keys(this.successors).length > 0) console.warn("Node won't run successors. Use Flow.");
-        return await this._run(shared); 
+        return await this._start(options)._run(shared); 
+    }
+    runAsync(shared, options = {}) { return this.run(shared, options); }
+    _copy(node) { const c = { ...node }; Object.setPrototypeOf(c, Object.getPrototypeOf(node)); return c; }
+    // Every run executes on a copy carrying its own signal, observer and context, so concurrent runs never share state
+    _start({ signal, observer, context } = {}) {
+        const c = this._copy(this); c._signal = signal; c._observer = observer || null; c._root = true; c._context = context || {};
+        return c;
     }
     rshift(other) { return this.next(other); }
     sub(action) { 
@@ -27,27 +44,282 @@ class ConditionalTransition {
     rshift(tgt) { return this.src.next(tgt, this.action); }
 }
 
+const abortError = signal => signal.reason !== undefined ? signal.reason : Object.assign(new Error("The operation was aborted"), { name: "AbortError" });
+const throwIfAborted = signal => { if (signal && signal.aborted) throw abortError(signal); };
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const onAbort = () => { clearTimeout(timer); reject(abortError(signal)); };
+    const timer = setTimeout(() => { if (signal) signal.removeEventListener("abort", onAbort); resolve(); }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+});
+
+// Maps items through fn with at most `limit` calls in flight (0 = unbounded), keeping results in input order
+async function mapPool(items, limit, fn) {
+    if (!(limit > 0) || limit >= items.length) return await Promise.all(items.map(fn));
+    const results = new Array(items.length); let next = 0, failed = false;
+    const worker = async () => {
+        while (next < items.length && !failed) {
+            const i = next++;
+            try { results[i] = await fn(items[i], i); } catch (e) { failed = true; throw e; }
+        }
+    };
+    await Promise.all(Array.from({ length: limit }, worker));
+    return results;
+}
+
+// Runs one batch item; with `settle` on, a failure becomes { ok: false, error, item } until maxFailures is exceeded
+async function settleItem(owner, tally, item, run) {
+    if (!owner.settle) return await run();
+    try { return { ok: true, value: await run() }; }
+    catch (error) {
+        if (owner._signal && owner._signal.aborted) throw error;
+        if (++tally.failures > owner.maxFailures) throw new BatchError(`Batch aborted after ${tally.failures} failed items`, error, tally.failures);
+        return { ok: false, error, item };
+    }
+}
+
+class BatchError extends Error {
+    constructor(message, cause, failures) { super(message); this.name = "BatchError"; this.cause = cause; this.failures = failures; }
+}
+
+class TimeoutError extends Error {
+    constructor(ms) { super(`Node exec timed out after ${ms}ms`); this.name = "TimeoutError"; this.timeout = ms; }
+}
+
+class LoopGuardError extends Error {
+    constructor(message) { super(message); this.name = "LoopGuardError"; }
+}
+
 class Node extends BaseNode {
-    constructor(maxRetries = 1, wait = 0) { super(); this.maxRetries = maxRetries; this.wait = wait; this.curRetry = 0; }
+    constructor(maxRetries = 1, wait = 0, options = {}) {
+        super(); this.maxRetries = maxRetries; this.wait = wait; this.curRetry = 0;
+        this.timeout = options.timeout || 0;
+        this.backoff = options.backoff || "fixed"; this.maxWait = options.maxWait || 0; this.jitter = !!options.jitter;
+        this.retryIf = options.retryIf || null;
+        this.maxIterations = options.maxIterations || 0; this.loopAction = options.loopAction || "loop_exceeded";
+        this.settle = !!options.settle; this.maxFailures = options.maxFailures ?? Infinity;
+        // cache: true, or { store, ttl (ms), key, bypass: boolean | (prepRes, context) => boolean }
+        this.cache = options.cache ? { store: null, ttl: 0, key: null, bypass: false, ...(options.cache === true ? {} : options.cache) } : null;
+        if (this.cache && !this.cache.store) this.cache.store = new MemoryCacheStore();
+    }
     execFallback(prepRes, exc) { throw exc; }
+    isRetryable(exc) {
+        if (this.retryIf) return !!this.retryIf(exc);
+        if (exc && typeof exc.retryable === "boolean") return exc.retryable;
+        // HTTP-style errors (fetch wrappers, provider SDKs): only rate limits, timeouts and 5xx are transient
+        const status = exc && (exc.status ?? exc.statusCode);
+        if (typeof status === "number") return status === 408 || status === 429 || status >= 500;
+        return true;
+    }
+    retryDelay(attempt) {
+        let delay = this.wait * 1000;
+        if (this.backoff === "exponential") delay *= 2 ** attempt;
+        if (this.maxWait > 0) delay = Math.min(delay, this.maxWait * 1000);
+        return this.jitter ? delay / 2 + Math.random() * delay / 2 : delay;
+    }
+    _execOnce(prepRes, signal) { return this.exec(prepRes, signal); }
+    _fallback(prepRes, exc) { return this.execFallback(prepRes, exc); }
+    async _attempt(prepRes) {
+        const signal = this._signal;
+        if (!(this.timeout > 0)) return await this._execOnce(prepRes, signal);
+        // Abort the attempt's signal and reject, so a hung exec cannot outlive its timeout or the run's signal
+        const ctrl = new AbortController(); let timer, cancel;
+        const stopped = new Promise((_, reject) => {
+            const stop = e => { ctrl.abort(e); reject(e); };
+            timer = setTimeout(() => stop(new TimeoutError(this.timeout)), this.timeout);
+            cancel = () => stop(abortError(signal));
+        });
+        if (signal) signal.addEventListener("abort", cancel, { once: true });
+        try { return await Promise.race([this._execOnce(prepRes, ctrl.signal), stopped]); }
+        finally { clearTimeout(timer); if (signal) signal.removeEventListener("abort", cancel); }
+    }
+    // Cache key: a hash of the node's identity, its params and its prep result, or null when the result can't be cached.
+    // Params count because instances of one class (or batch-flow items) can share a store and still differ by params alone.
+    _cacheKey(prepRes) {
+        let body;
+        try { body = stableJson({ node: this.cache.key || nodeLabel(this), params: this.params, prepRes }); }
+        catch (e) { console.warn(`${nodeLabel(this)}: prep result is not cacheable:`, e.message); return null; }
+        return require("crypto").createHash("sha256").update(body).digest("hex");
+    }
     async _exec(prepRes) {
+        if (this.cache) return await this._cachedExec(prepRes);
+        return await this._execRetrying(prepRes);
+    }
+    // The cache is consulted once, before the first attempt; retries after a failure always call exec
+    async _cachedExec(prepRes) {
+        const { store, ttl, bypass } = this.cache, key = this._cacheKey(prepRes);
+        if (!key) return await this._execRetrying(prepRes);
+        const skip = typeof bypass === "function" ? bypass(prepRes, this._context) : bypass;
+        if (!skip) {
+            const hit = await store.get(key);
+            if (hit !== undefined) { this._emit("cacheHit", { prepRes, key }); return hit; }
+        }
+        let failed = false;
+        const result = await this._execRetrying(prepRes, () => { failed = true; });
+        if (!failed) await store.set(key, result, ttl);
+        return result;
+    }
+    async _execRetrying(prepRes, onFallback) {
         for (this.curRetry = 0; this.curRetry < this.maxRetries; this.curRetry++) {
-            try { return await this.exec(prepRes); }
+            throwIfAborted(this._signal);
+            try { return await this._intercept("attempt", { ...this._step, prepRes, attempt: this.curRetry }, () => this._attempt(prepRes)); }
             catch (e) {
-                if (this.curRetry === this.maxRetries - 1) return await this.execFallback(prepRes, e);
-                if (this.wait > 0) await new Promise(resolve => setTimeout(resolve, this.wait * 1000));
+                if (this._signal && this._signal.aborted) throw e;
+                if (this.curRetry === this.maxRetries - 1 || !this.isRetryable(e)) {
+                    this._emit("fallback", { prepRes, error: e, attempts: this.curRetry + 1 });
+                    if (onFallback) onFallback();
+                    return await this._fallback(prepRes, e);
+                }
+                const delay = this.retryDelay(this.curRetry);
+                this._emit("retry", { prepRes, error: e, attempt: this.curRetry + 1, delay });
+                if (delay > 0) await sleep(delay, this._signal);
             }
         }
     }
 }
 
+// Each batch item retries on its own copy, so concurrent items never share curRetry
 class BatchNode extends Node {
-    async _exec(items) { return Promise.all((items || []).map(item => super._exec(item))); }
+    async _exec(items) { const tally = { failures: 0 }; return Promise.all((items || []).map(item => settleItem(this, tally, item, () => super._exec.call(this._copy(this), item)))); }
+}
+
+// Errors already reported by an inner flow, so enclosing flows don't emit them twice
+const reportedErrors = new WeakSet();
+// Per-key fingerprint of shared, used to report which top-level keys a node changed
+const snapshot = shared => new Map(Object.entries(shared || {}).map(([k, v]) => {
+    try { return [k, JSON.stringify(v)]; } catch (e) { return [k, v]; }
+}));
+const changedKeys = (before, shared) => {
+    const after = snapshot(shared);
+    return [...new Set([...before.keys(), ...after.keys()])].filter(k => before.get(k) !== after.get(k));
+};
+const nodeLabel = node => node && (node.id || node.constructor.name);
+// The JSON-friendly parts of an error, for records that end up in shared
+const errorData = e => e && typeof e === "object"
+    ? Object.fromEntries(["name", "message", "code", "status", "stack"].filter(k => e[k] !== undefined).map(k => [k, e[k]]))
+    : { message: String(e) };
+const newRunId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+// JSON with sorted object keys, so equal values always hash the same
+const stableJson = value => JSON.stringify(value, (k, v) => v && typeof v === "object" && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(key => [key, v[key]])) : v);
+
+// Cache stores hold exec results as JSON; get resolves to undefined on a miss or once an entry's ttl (ms) has passed
+class MemoryCacheStore {
+    constructor() { this.entries = new Map(); }
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expires && entry.expires <= Date.now()) { this.entries.delete(key); return undefined; }
+        return JSON.parse(entry.data).value;
+    }
+    async set(key, value, ttl = 0) { this.entries.set(key, { data: JSON.stringify({ value }), expires: ttl > 0 ? Date.now() + ttl : 0 }); }
+    async delete(key) { this.entries.delete(key); }
+}
+
+class FileCacheStore {
+    constructor(dir) { this.dir = dir; }
+    _path(key) { return require("path").join(this.dir, `${encodeURIComponent(key)}.json`); }
+    async get(key) {
+        let entry;
+        try { entry = JSON.parse(await require("fs").promises.readFile(this._path(key), "utf8")); }
+        catch (e) { if (e.code === "ENOENT") return undefined; throw e; }
+        if (entry.expires && entry.expires <= Date.now()) { await this.delete(key); return undefined; }
+        return entry.value;
+    }
+    async set(key, value, ttl = 0) {
+        const fs = require("fs").promises, file = this._path(key);
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(`${file}.tmp`, JSON.stringify({ value, expires: ttl > 0 ? Date.now() + ttl : 0 }));
+        await fs.rename(`${file}.tmp`, file);
+    }
+    async delete(key) { await require("fs").promises.rm(this._path(key), { force: true }); }
+}
+
+class MemoryCheckpointStore {
+    constructor() { this.checkpoints = new Map(); }
+    async save(runId, checkpoint) { this.checkpoints.set(runId, JSON.stringify(checkpoint)); }
+    async load(runId) { const data = this.checkpoints.get(runId); return data ? JSON.parse(data) : null; }
+    async delete(runId) { this.checkpoints.delete(runId); }
+}
+
+class FileCheckpointStore {
+    constructor(dir) { this.dir = dir; }
+    _path(runId) { return require("path").join(this.dir, `${encodeURIComponent(runId)}.json`); }
+    async save(runId, checkpoint) {
+        const fs = require("fs").promises, file = this._path(runId);
+        await fs.mkdir(this.dir, { recursive: true });
+        // Write then rename, so a crash mid-write never leaves a truncated checkpoint
+        await fs.writeFile(`${file}.tmp`, JSON.stringify(checkpoint, null, 2));
+        await fs.rename(`${file}.tmp`, file);
+    }
+    async load(runId) {
+        try { return JSON.parse(await require("fs").promises.readFile(this._path(runId), "utf8")); }
+        catch (e) { if (e.code === "ENOENT") return null; throw e; }
+    }
+    async delete(runId) { await require("fs").promises.rm(this._path(runId), { force: true }); }
 }
 
 class Flow extends BaseNode {
-    constructor(start = null) { super(); this.startNode = start; }
+    constructor(start = null, options = {}) {
+        super(); this.startNode = start; this.maxSteps = options.maxSteps || 0; this.listeners = {};
+        this.checkpointStore = options.checkpointStore || null;
+        this.settle = !!options.settle; this.maxFailures = options.maxFailures ?? Infinity;
+        this.routeErrors = !!options.routeErrors; this.middleware = [...(options.middleware || [])];
+    }
+    // Middleware wraps every node this flow runs, nested flows included: { run, exec, attempt } handlers take (ctx, next)
+    use(middleware) { this.middleware.push(middleware); return this; }
     start(start) { this.startNode = start; return start; }
+    _start(options = {}) {
+        const c = super._start(options);
+        if (this.checkpointStore) c._runId = options.runId || newRunId();
+        c._resumeFrom = options.resumeFrom || null;
+        return c;
+    }
+    async resume(checkpoint, options = {}) { return await this.run(checkpoint.shared, { ...options, runId: checkpoint.runId, resumeFrom: checkpoint }); }
+    // Runs the flow and yields JSON-friendly progress events, ending with { type: "result", action, shared }.
+    // Leaving the loop early aborts the run.
+    async *stream(shared, options = {}) {
+        const ctrl = new AbortController(), queue = [], started = new Map();
+        let wake = null, done = false, failure = null, action;
+        const push = event => { queue.push(event); if (wake) { wake(); wake = null; } };
+        if (options.signal) {
+            if (options.signal.aborted) ctrl.abort(options.signal.reason);
+            else options.signal.addEventListener("abort", () => ctrl.abort(options.signal.reason), { once: true });
+        }
+        const observer = (event, data) => {
+            const node = nodeLabel(data.node);
+            if (event === "nodeStart") {
+                (started.get(data.node) || started.set(data.node, []).get(data.node)).push(snapshot(shared));
+                push({ type: event, node, params: data.params });
+            } else if (event === "nodeEnd") {
+                const before = (started.get(data.node) || []).pop() || new Map();
+                push({ type: event, node, action: data.action, duration: data.duration, changed: changedKeys(before, shared) });
+            } else if (event === "token") push({ type: event, node, text: data.text });
+        };
+        const run = this._start({ ...options, signal: ctrl.signal, observer });
+        run._run(shared).then(
+            a => { action = a; done = true; push(null); },
+            e => { failure = e; done = true; push(null); });
+        try {
+            while (!done || queue.length) {
+                if (!queue.length) await new Promise(resolve => { wake = resolve; });
+                const event = queue.shift();
+                if (event) yield event;
+            }
+            if (failure) throw failure;
+            yield { type: "result", action, shared };
+        } finally {
+            if (!done) ctrl.abort();
+        }
+    }
+    on(event, fn) { (this.listeners[event] = this.listeners[event] || []).push(fn); return this; }
+    off(event, fn) { this.listeners[event] = (this.listeners[event] || []).filter(f => f !== fn); return this; }
+    _emit(event, data) {
+        for (const fn of this.listeners[event] || []) {
+            try { fn(data); } catch (e) { console.warn(`Listener for '${event}' failed:`, e); }
+        }
+        super._emit(event, data);
+    }
     getNextNode(curr, action) { 
         const nxt = curr.successors[action || "default"];
         if (!nxt && Object.keys(curr.successors).length > 0) {
@@ -55,104 +327,240 @@ class Flow extends BaseNode {
         }
         return nxt;
     }
-    async _orch(shared, params = null) {
-        let curr = { ...this.startNode };
-        Object.setPrototypeOf(curr, Object.getPrototypeOf(this.startNode));
-        const p = params || { ...this.params };
-        let lastAction = null;
-        while (curr) {
+    // Stable ids for checkpoints: a node's own `id`, else its class name and breadth-first position
+    _nodeIds() {
+        const ids = new Map(), queue = [this.startNode];
+        while (queue.length) {
+            const node = queue.shift();
+            if (!node || ids.has(node)) continue;
+            ids.set(node, node.id || `${node.constructor.name}#${ids.size}`);
+            queue.push(...Object.values(node.successors));
+        }
+        return ids;
+    }
+    // Walks startNode and successors into { start, nodes, edges }; a nested flow's node carries its own `graph`
+    toGraph() {
+        const ids = this._nodeIds(), nodes = [], edges = [];
+        for (const [node, id] of ids) {
+            const entry = { id, label: node.id || node.constructor.name, type: node.constructor.name };
+            if (node.kind) entry.kind = node.kind;
+            if (node instanceof Flow) entry.graph = node.toGraph();
+            nodes.push(entry);
+            for (const [action, next] of Object.entries(node.successors)) if (next) edges.push({ from: id, to: ids.get(next), action });
+        }
+        return { start: this.startNode ? ids.get(this.startNode) : null, nodes, edges };
+    }
+    toMermaid() { return toMermaid(this); }
+    toDot() { return toDot(this); }
+    _checkpointing() { return !!(this.checkpointStore && this._runId); }
+    async _saveCheckpoint(shared, state, context = this._context) {
+        const checkpoint = { runId: this._runId, ...state, shared: JSON.parse(JSON.stringify(shared)), context: JSON.parse(JSON.stringify(context)), updatedAt: new Date().toISOString() };
+        await this.checkpointStore.save(this._runId, checkpoint);
+        this._emit("checkpoint", { flow: this, checkpoint });
+    }
+    async _orch(shared, params = null, progress = null) {
+        const p = params || { ...this.params }, context = (progress && progress.context) || this._context;
+        const visits = new Map(), middleware = [...(this._middleware || []), ...this.middleware];
+        let node = this.startNode, lastAction = null, steps = 0;
+        // Parallel batch items run side by side, so only their completion is checkpointed
+        const saving = this._checkpointing() && !(progress && progress.parallel);
+        let resume = this._resumeFrom;
+        if (resume && (progress ? resume.batch && resume.batch.index === progress.index : true)) this._resumeFrom = null;
+        else resume = null;
+        const ids = saving || resume ? this._nodeIds() : null;
+        if (resume) {
+            const byId = new Map([...ids].map(([n, id]) => [id, n]));
+            if (resume.next && !byId.has(resume.next)) throw new Error(`Checkpoint node '${resume.next}' not found in flow`);
+            node = resume.next ? byId.get(resume.next) : null; lastAction = resume.action; steps = resume.steps || 0;
+            for (const [id, count] of Object.entries(resume.visits || {})) if (byId.has(id)) visits.set(byId.get(id), count);
+            Object.assign(context, resume.context);
+        }
+        const flowStarted = Date.now();
+        this._emit("flowStart", { flow: this, params: p });
+        while (node) {
+            throwIfAborted(this._signal);
+            if (this.maxSteps > 0 && ++steps > this.maxSteps) throw new LoopGuardError(`Flow exceeded maxSteps (${this.maxSteps})`);
+            const count = (visits.get(node) || 0) + 1;
+            visits.set(node, count);
+            if (node.maxIterations > 0 && count > node.maxIterations) {
+                // Guard tripped: skip the node and follow its loop action, or end the flow if none is wired
+                lastAction = node.loopAction || "loop_exceeded";
+                if (!node.successors[lastAction]) console.warn(`Flow ends: ${node.constructor.name} exceeded ${node.maxIterations} iterations`);
+                node = node.successors[lastAction];
+                continue;
+            }
+            const curr = this._copy(node), started = Date.now(), wired = node;
             curr.setParams(p);
-            lastAction = await curr._run(shared);
-            const nextNode = this.getNextNode(curr, lastAction);
-            if (nextNode) { curr = { ...nextNode }; Object.setPrototypeOf(curr, Object.getPrototypeOf(nextNode)); }
-            else curr = null;
+            curr._signal = this._signal; curr._context = context;
+            // Batch items retry on their own copies, so attempts are counted from the fallback event
+            let attempts = 1;
+            curr._observer = (event, data) => { if (event === "fallback") attempts = data.attempts; this._emit(event, { node: wired, ...data }); };
+            curr._middleware = middleware; curr._step = { node: curr, shared, context, params: p };
+            this._emit("nodeStart", { node, params: p });
+            try { lastAction = await curr._intercept("run", curr._step, () => curr._run(shared)); }
+            catch (e) {
+                if (!(e && typeof e === "object" && reportedErrors.has(e))) {
+                    if (e && typeof e === "object") reportedErrors.add(e);
+                    this._emit("error", { node, error: e });
+                }
+                const routed = this.routeErrors && node.successors.error && !(this._signal && this._signal.aborted);
+                if ((this._root || routed) && e && typeof e === "object") reportedErrors.delete(e);
+                if (!routed) throw e;
+                // Record the failure for the handler node and continue along the `error` edge
+                shared._error = { node: nodeLabel(node), attempts, ...errorData(e) };
+                lastAction = "error";
+            }
+            this._emit("nodeEnd", { node, action: lastAction, duration: Date.now() - started });
+            node = this.getNextNode(curr, lastAction);
+            if (saving) await this._saveCheckpoint(shared, {
+                node: ids.get(wired), next: node ? ids.get(node) : null, action: lastAction, steps,
+                visits: Object.fromEntries([...visits].map(([n, count]) => [ids.get(n), count])),
+                ...(progress && { batch: { index: progress.index, completed: [...progress.completed] } })
+            }, context);
         }
+        this._emit("flowEnd", { flow: this, params: p, action: lastAction, duration: Date.now() - flowStarted });
         return lastAction;
     }
-    async _run(shared) { return this.post(shared, this.prep(shared), await this._orch(shared)); }
-    post(shared, prepRes, execRes) { return execRes; }
+    // Runs the flow once per batch param set, skipping items a resumed checkpoint already completed.
+    // Resolves to the per-item results in settle mode, null otherwise.
+    async _orchItems(shared, items, parallel = false) {
+        const completed = new Set((this._resumeFrom && this._resumeFrom.batch && this._resumeFrom.batch.completed) || []);
+        const tally = { failures: 0 };
+        const runItem = async (bp, index) => {
+            if (completed.has(index)) return this.settle ? { ok: true, value: undefined } : undefined;
+            throwIfAborted(this._signal);
+            // Items get their own context layered over the run's, so parallel items can't clobber each other
+            const context = Object.create(this._context);
+            const result = await settleItem(this, tally, bp, () => this._orch(shared, { ...this.params, ...bp }, { index, completed, parallel, context }));
+            if (this.settle && !result.ok) return result;
+            completed.add(index);
+            if (this._checkpointing()) await this._saveCheckpoint(shared, { next: null, action: null, batch: { index: null, completed: [...completed] } });
+            return result;
+        };
+        const results = [];
+        if (parallel) results.push(...await mapPool(items, this.concurrency, runItem));
+        else for (const [index, bp] of items.entries()) results.push(await runItem(bp, index));
+        return this.settle ? results : null;
+    }
+    async _run(shared) { const c = this._context; return await this.post(shared, await this.prep(shared, c), await this._orch(shared), c); }
+    post(shared, prepRes, execRes, context) { return execRes; }
 }
 
 class BatchFlow extends Flow {
     async _run(shared) {
-        const pr = this.prep(shared) || [];
-        for (const bp of pr) await this._orch(shared, { ...this.params, ...bp });
-        return this.post(shared, pr, null);
+        const pr = await this.prep(shared, this._context) || [];
+        return await this.post(shared, pr, await this._orchItems(shared, pr), this._context);
     }
 }
 
+// The *Async hooks default to their plain counterparts, so an AsyncNode may implement either set
 class AsyncNode extends Node {
-    async prepAsync(shared) {}
-    async execAsync(prepRes) {}
-    async execFallbackAsync(prepRes, exc) { throw exc; }
-    async postAsync(shared, prepRes, execRes) {}
-    async _exec(prepRes) {
-        for (this.curRetry = 0; this.curRetry < this.maxRetries; this.curRetry++) {
-            try { return await this.execAsync(prepRes); }
-            catch (e) {
-                if (this.curRetry === this.maxRetries - 1) return await this.execFallbackAsync(prepRes, e);
-                if (this.wait > 0) await new Promise(resolve => setTimeout(resolve, this.wait * 1000));
-            }
-        }
-    }
-    async _runAsync(shared) { const p = await this.prepAsync(shared); return await this.postAsync(shared, p, await this._exec(p)); }
-    async runAsync(shared) { 
-        if (Object.keys(this.successors).length > 0) console.warn("Node won't run successors. Use AsyncFlow.");
-        return await this._runAsync(shared); 
-    }
-    _run(shared) { throw new Error("Use runAsync."); }
+    async prepAsync(shared, context) { return await this.prep(shared, context); }
+    async execAsync(prepRes, signal) { return await this.exec(prepRes, signal); }
+    async execFallbackAsync(prepRes, exc) { return await this.execFallback(prepRes, exc); }
+    async postAsync(shared, prepRes, execRes, context) { return await this.post(shared, prepRes, execRes, context); }
+    _execOnce(prepRes, signal) { return this.execAsync(prepRes, signal); }
+    _fallback(prepRes, exc) { return this.execFallbackAsync(prepRes, exc); }
+    async _run(shared) { const c = this._context, p = await this.prepAsync(shared, c); return await this.postAsync(shared, p, await this._execStep(p), c); }
 }
 
 class AsyncBatchNode extends AsyncNode {
-    async _exec(items) { const results = []; for (const item of (items || [])) results.push(await super._exec(item)); return results; }
+    async _exec(items) {
+        const results = [], tally = { failures: 0 };
+        for (const item of (items || [])) results.push(await settleItem(this, tally, item, () => super._exec.call(this._copy(this), item)));
+        return results;
+    }
 }
 
 class AsyncParallelBatchNode extends AsyncNode {
-    async _exec(items) { return await Promise.all((items || []).map(item => super._exec(item))); }
+    constructor(maxRetries = 1, wait = 0, options = {}) { super(maxRetries, wait, options); this.concurrency = options.concurrency || 0; }
+    async _exec(items) { const tally = { failures: 0 }; return await mapPool(items || [], this.concurrency, item => settleItem(this, tally, item, () => super._exec.call(this._copy(this), item))); }
 }
 
 class AsyncFlow extends Flow {
-    async prepAsync(shared) {}
-    async postAsync(shared, prepRes, execRes) { return execRes; }
-    async _orchAsync(shared, params = null) {
-        let curr = { ...this.startNode };
-        Object.setPrototypeOf(curr, Object.getPrototypeOf(this.startNode));
-        const p = params || { ...this.params };
-        let lastAction = null;
-        while (curr) {
-            curr.setParams(p);
-            lastAction = curr instanceof AsyncNode ? await curr._runAsync(shared) : await curr._run(shared);
-            const nextNode = this.getNextNode(curr, lastAction);
-            if (nextNode) { curr = { ...nextNode }; Object.setPrototypeOf(curr, Object.getPrototypeOf(nextNode)); }
-            else curr = null;
-        }
-        return lastAction;
-    }
-    async _runAsync(shared) { return await this.postAsync(shared, await this.prepAsync(shared), await this._orchAsync(shared)); }
-    async runAsync(shared) { return await this._runAsync(shared); }
+    async prepAsync(shared, context) { return await this.prep(shared, context); }
+    async postAsync(shared, prepRes, execRes, context) { return await this.post(shared, prepRes, execRes, context); }
+    async _run(shared) { const c = this._context; return await this.postAsync(shared, await this.prepAsync(shared, c), await this._orch(shared), c); }
 }
 
 class AsyncBatchFlow extends AsyncFlow {
-    async _runAsync(shared) {
-        const pr = await this.prepAsync(shared) || [];
-        for (const bp of pr) await this._orchAsync(shared, { ...this.params, ...bp });
-        return await this.postAsync(shared, pr, null);
+    async _run(shared) {
+        const pr = await this.prepAsync(shared, this._context) || [];
+        return await this.postAsync(shared, pr, await this._orchItems(shared, pr), this._context);
     }
 }
 
 class AsyncParallelBatchFlow extends AsyncFlow {
-    async _runAsync(shared) {
-        const pr = await this.prepAsync(shared) || [];
-        await Promise.all(pr.map(bp => this._orchAsync(shared, { ...this.params, ...bp })));
-        return await this.postAsync(shared, pr, null);
+    constructor(start = null, options = {}) { super(start, options); this.concurrency = options.concurrency || 0; }
+    async _run(shared) {
+        const pr = await this.prepAsync(shared, this._context) || [];
+        return await this.postAsync(shared, pr, await this._orchItems(shared, pr, true), this._context);
     }
 }
 
+// Graph exporters: accept a Flow, a toGraph() result or the { flow } returned by PocketFlowCompiler.compile
+const graphOf = target => target instanceof Flow ? target.toGraph() : target && target.flow instanceof Flow ? target.flow.toGraph() : target;
+const nodeText = n => n.kind ? `${n.label} (${n.kind})` : n.label;
+// Graph ids may hold any character, so exporters number nodes instead; nested graphs get prefixed numbers
+const exportIds = (graph, prefix) => new Map(graph.nodes.map((n, i) => [n.id, `${prefix}${i}`]));
+const nested = n => n.graph && n.graph.nodes.length > 0;
+
+function toMermaid(target) {
+    const graph = graphOf(target), lines = ["flowchart TD"];
+    const quote = text => `"${String(text).replace(/"/g, "#quot;")}"`;
+    const walk = (g, prefix, indent) => {
+        const ids = exportIds(g, prefix);
+        for (const n of g.nodes) {
+            if (!nested(n)) { lines.push(`${indent}${ids.get(n.id)}[${quote(nodeText(n))}]`); continue; }
+            lines.push(`${indent}subgraph ${ids.get(n.id)} [${quote(nodeText(n))}]`);
+            walk(n.graph, `${ids.get(n.id)}_`, indent + "    ");
+            lines.push(`${indent}end`);
+        }
+        if (prefix === "n" && g.start !== null) lines.push(`${indent}start((start)) --> ${ids.get(g.start)}`);
+        for (const e of g.edges) lines.push(`${indent}${ids.get(e.from)} -->${e.action === "default" ? "" : `|${quote(e.action)}|`} ${ids.get(e.to)}`);
+    };
+    walk(graph, "n", "    ");
+    return lines.join("\n");
+}
+
+// DOT node id of a graph's start node, descending into nested flows
+function entryOf(graph, prefix) {
+    const i = graph.nodes.findIndex(n => n.id === graph.start), n = graph.nodes[i];
+    return nested(n) ? entryOf(n.graph, `${prefix}${i}_`) : `${prefix}${i}`;
+}
+
+function toDot(target) {
+    const graph = graphOf(target), lines = ["digraph flow {", "    compound=true;", "    node [shape=box];"];
+    const quote = text => `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+    const walk = (g, prefix, indent) => {
+        const ids = exportIds(g, prefix), byId = new Map(g.nodes.map(n => [n.id, n]));
+        // Edges touching a nested flow attach to its start node and clip at the cluster border
+        const anchor = id => nested(byId.get(id)) ? entryOf(byId.get(id).graph, `${ids.get(id)}_`) : ids.get(id);
+        for (const n of g.nodes) {
+            if (!nested(n)) { lines.push(`${indent}${ids.get(n.id)} [label=${quote(nodeText(n))}];`); continue; }
+            lines.push(`${indent}subgraph cluster_${ids.get(n.id)} {`, `${indent}    label=${quote(nodeText(n))};`);
+            walk(n.graph, `${ids.get(n.id)}_`, indent + "    ");
+            lines.push(`${indent}}`);
+        }
+        if (prefix === "n" && g.start !== null) lines.push(`${indent}start [shape=point];`, `${indent}start -> ${anchor(g.start)};`);
+        for (const e of g.edges) {
+            const attrs = [];
+            if (e.action !== "default") attrs.push(`label=${quote(e.action)}`);
+            if (nested(byId.get(e.from))) attrs.push(`ltail=cluster_${ids.get(e.from)}`);
+            if (nested(byId.get(e.to))) attrs.push(`lhead=cluster_${ids.get(e.to)}`);
+            lines.push(`${indent}${anchor(e.from)} -> ${anchor(e.to)}${attrs.length ? ` [${attrs.join(", ")}]` : ""};`);
+        }
+    };
+    walk(graph, "n", "    ");
+    lines.push("}");
+    return lines.join("\n");
+}
+
 // Helper functions for operator-like syntax
 function connect(nodeA, nodeB) { return nodeA.rshift(nodeB); }
 function conditionalConnect(nodeA, action, nodeB) { return nodeA.sub(action).rshift(nodeB); }
 
 // Export for Node.js or browser
-const classes = { BaseNode, Node, BatchNode, Flow, BatchFlow, ConditionalTransition, AsyncNode, AsyncBatchNode, AsyncParallelBatchNode, AsyncFlow, AsyncBatchFlow, AsyncParallelBatchFlow, connect, conditionalConnect };
+const classes = { BaseNode, Node, TimeoutError, LoopGuardError, BatchError, BatchNode, Flow, BatchFlow, ConditionalTransition, AsyncNode, AsyncBatchNode, AsyncParallelBatchNode, AsyncFlow, AsyncBatchFlow, AsyncParallelBatchFlow, MemoryCheckpointStore, FileCheckpointStore, MemoryCacheStore, FileCacheStore, toMermaid, toDot, connect, conditionalConnect };
 if (typeof module !== 'undefined' && module.exports) module.exports = classes;
 else if (typeof window !== 'undefined') window.PocketFlow = classes;
\ No newline at end of file